@@ -7,23 +7,87 @@ const Controls = (function() {
     // References to control elements
     let elements = {};
     
+    // ID of the die shown in the inspector, null when it is closed
+    let inspectedChipId = null;
+    
+    // CSV table waiting in the column-mapping dialog, and the column selects by role
+    let pendingCsv = null;
+    let csvColumnSelects = {};
+    
     /**
      * Initialize all control elements
      */
     function initializeControlElements() {
         // Wafer parameters
         elements.waferName = document.getElementById('wafer-name');
+        elements.waferShape = document.getElementById('wafer-shape');
+        elements.pieceAngle = document.getElementById('piece-angle');
+        elements.substrateWidth = document.getElementById('substrate-width');
+        elements.substrateHeight = document.getElementById('substrate-height');
+        elements.substrateChamfer = document.getElementById('substrate-chamfer');
         elements.waferDiameter = document.getElementById('wafer-diameter');
+        elements.waferType = document.getElementById('wafer-type');
+        elements.waferOrientation = document.getElementById('wafer-orientation');
         elements.flatAngle = document.getElementById('flat-angle');
+        elements.flatLength = document.getElementById('flat-length');
+        elements.flatPreset = document.getElementById('flat-preset');
+        elements.secondaryFlatAngle = document.getElementById('secondary-flat-angle');
+        elements.secondaryFlatLength = document.getElementById('secondary-flat-length');
+        elements.secondaryFlatOffset = document.getElementById('secondary-flat-offset');
         elements.excludedRadius = document.getElementById('excluded-radius');
         
         // Chip parameters
         elements.chipWidth = document.getElementById('chip-width');
         elements.chipHeight = document.getElementById('chip-height');
+        elements.streetX = document.getElementById('street-x');
+        elements.streetY = document.getElementById('street-y');
+        elements.offsetX = document.getElementById('offset-x');
+        elements.offsetY = document.getElementById('offset-y');
+        elements.optimizeMode = document.getElementById('optimize-mode');
+        elements.optimizeGrid = document.getElementById('optimize-grid');
+        elements.grossDieReport = document.getElementById('gross-die-report');
+        elements.dieCountReport = document.getElementById('die-count-report');
+        
+        // Keep-out zones
+        elements.keepOutList = document.getElementById('keep-out-list');
+        elements.addKeepOutRect = document.getElementById('add-keep-out-rect');
+        elements.addKeepOutCircle = document.getElementById('add-keep-out-circle');
+        elements.addKeepOutPolygon = document.getElementById('add-keep-out-polygon');
+        elements.dieTypeList = document.getElementById('die-type-list');
+        elements.dieBlockList = document.getElementById('die-block-list');
+        elements.addDieType = document.getElementById('add-die-type');
+        elements.addDieBlock = document.getElementById('add-die-block');
+        
+        // Reticle
+        elements.reticleDiesX = document.getElementById('reticle-dies-x');
+        elements.reticleDiesY = document.getElementById('reticle-dies-y');
+        elements.reticleOffsetX = document.getElementById('reticle-offset-x');
+        elements.reticleOffsetY = document.getElementById('reticle-offset-y');
+        elements.showFields = document.getElementById('show-fields');
+        
+        // Die numbering
+        elements.numberingScheme = document.getElementById('numbering-scheme');
+        elements.numberingStart = document.getElementById('numbering-start');
+        elements.numberingSkipPartial = document.getElementById('numbering-skip-partial');
+        
+        // Die coordinates
+        elements.coordOrigin = document.getElementById('coord-origin');
+        elements.coordCorner = document.getElementById('coord-corner');
+        elements.coordReferenceX = document.getElementById('coord-reference-x');
+        elements.coordReferenceY = document.getElementById('coord-reference-y');
+        elements.coordXDirection = document.getElementById('coord-x-direction');
+        elements.coordYDirection = document.getElementById('coord-y-direction');
+        elements.showCoordinates = document.getElementById('show-coordinates');
         
         // Labeling
-        elements.chipColor = document.getElementById('chip-color');
-        elements.chipLabel = document.getElementById('chip-label');
+        elements.binList = document.getElementById('bin-list');
+        elements.addBin = document.getElementById('add-bin');
+        elements.eraseBin = document.getElementById('erase-bin');
+        elements.binStatistics = document.getElementById('bin-statistics');
+        elements.showLegend = document.getElementById('show-legend');
+        elements.legendPosition = document.getElementById('legend-position');
+        elements.paintTarget = document.getElementById('paint-target');
+        elements.paintProduct = document.getElementById('paint-product');
         elements.labelFontSize = document.getElementById('label-font-size');
         elements.fontSizeValue = document.getElementById('font-size-value');
         
@@ -32,72 +96,1192 @@ const Controls = (function() {
         elements.exportSvg = document.getElementById('export-svg');
         elements.exportJson = document.getElementById('export-json');
         elements.importJson = document.getElementById('import-json');
+        elements.importCsv = document.getElementById('import-csv');
+        elements.dieListFormat = document.getElementById('die-list-format');
+        elements.dieListMetadata = document.getElementById('die-list-metadata');
+        elements.dieListColumns = document.getElementById('die-list-columns');
+        elements.exportDieList = document.getElementById('export-die-list');
+        elements.asciiRotation = document.getElementById('ascii-rotation');
+        elements.asciiEmptyChar = document.getElementById('ascii-empty-char');
+        elements.asciiUntestedChar = document.getElementById('ascii-untested-char');
+        elements.exportAsciiMap = document.getElementById('export-ascii-map');
+        elements.importAsciiMap = document.getElementById('import-ascii-map');
+        elements.asciiReport = document.getElementById('ascii-report');
+        elements.exportE142 = document.getElementById('export-e142');
+        elements.importE142 = document.getElementById('import-e142');
+        elements.e142Report = document.getElementById('e142-report');
+        elements.csvReport = document.getElementById('csv-report');
+        
+        // CSV column mapping
+        elements.csvDialog = document.getElementById('csv-dialog');
+        elements.csvKey = document.getElementById('csv-key');
+        elements.csvColumns = document.getElementById('csv-columns');
+        elements.csvYUp = document.getElementById('csv-y-up');
+        elements.csvYUpGroup = document.getElementById('csv-y-up-group');
+        elements.csvValueColumns = document.getElementById('csv-value-columns');
+        elements.csvImport = document.getElementById('csv-import');
+        elements.csvCancel = document.getElementById('csv-cancel');
+        elements.undoButton = document.getElementById('undo-button');
+        elements.redoButton = document.getElementById('redo-button');
+        
+        // Selection tools
+        elements.toolMode = document.getElementById('tool-mode');
+        elements.paintSelection = document.getElementById('paint-selection');
+        elements.clearSelectionBins = document.getElementById('clear-selection-bins');
+        elements.copySelection = document.getElementById('copy-selection');
+        elements.selectionCount = document.getElementById('selection-count');
+        
+        // Die inspector
+        elements.chipTooltip = document.getElementById('chip-tooltip');
+        elements.chipInspector = document.getElementById('chip-inspector');
+        elements.inspectorDetails = document.getElementById('inspector-details');
+        elements.chipNote = document.getElementById('chip-note');
+        elements.inspectorValues = document.getElementById('inspector-values');
+        elements.newValueName = document.getElementById('new-value-name');
+        elements.newValue = document.getElementById('new-value');
+        elements.addValue = document.getElementById('add-value');
+        
+        // Heatmap
+        elements.heatmapParameter = document.getElementById('heatmap-parameter');
+        elements.heatmapScale = document.getElementById('heatmap-scale');
+        elements.heatmapSteps = document.getElementById('heatmap-steps');
+        elements.heatmapPalette = document.getElementById('heatmap-palette');
+        elements.heatmapAutoRange = document.getElementById('heatmap-auto-range');
+        elements.heatmapMin = document.getElementById('heatmap-min');
+        elements.heatmapMax = document.getElementById('heatmap-max');
+        elements.closeInspector = document.getElementById('close-inspector');
+        
+        // Zoom
+        elements.fitToWafer = document.getElementById('fit-to-wafer');
+        elements.zoomToSelection = document.getElementById('zoom-to-selection');
     }
     
     /**
      * Handle changes to wafer parameters
+     * @param {Event} event - Change or input event from a wafer control
      */
-    function handleWaferParamsChange() {
+    function handleWaferParamsChange(event) {
+        const shape = elements.waferShape.value;
+        const pieceAngle = parseFloat(elements.pieceAngle.value);
+        const substrateWidth = parseFloat(elements.substrateWidth.value);
+        const substrateHeight = parseFloat(elements.substrateHeight.value);
+        const chamfer = parseFloat(elements.substrateChamfer.value);
         const diameter = parseFloat(elements.waferDiameter.value);
+        const waferType = elements.waferType.value;
+        const orientation = parseFloat(elements.waferOrientation.value);
         const flatAngle = parseFloat(elements.flatAngle.value);
+        const flatLength = parseFloat(elements.flatLength.value);
+        const secondaryFlatAngle = parseFloat(elements.secondaryFlatAngle.value);
+        const secondaryFlatLength = parseFloat(elements.secondaryFlatLength.value);
+        const secondaryFlatOffset = parseFloat(elements.secondaryFlatOffset.value);
         const excludedRadius = parseFloat(elements.excludedRadius.value);
         const name = elements.waferName.value;
         
-        if (isNaN(diameter) || isNaN(flatAngle) || isNaN(excludedRadius)) {
+        if (isNaN(diameter) || isNaN(orientation) || isNaN(flatAngle) || isNaN(flatLength) ||
+            isNaN(secondaryFlatAngle) || isNaN(secondaryFlatLength) ||
+            isNaN(secondaryFlatOffset) || isNaN(excludedRadius) || isNaN(pieceAngle) ||
+            !(substrateWidth > 0) || !(substrateHeight > 0) || isNaN(chamfer) || chamfer < 0) {
             return;
         }
         
+        // Flat settings only apply to flatted wafers
+        updateShapeControlsEnabled(shape);
+        updateFlatControlsEnabled(waferType, shape);
+        
+        // The flat field the user just edited drives the other one
+        let flatSizeMode = WaferState.getWaferParams().flatSizeMode;
+        if (event && (event.target === elements.flatLength || event.target === elements.secondaryFlatLength)) {
+            flatSizeMode = 'length';
+        } else if (event && (event.target === elements.flatAngle || event.target === elements.secondaryFlatAngle)) {
+            flatSizeMode = 'angle';
+        }
+        
+        // Fall back to a custom preset once the secondary flat no longer follows the selected one
+        const secondaryFlatSize = flatSizeMode === 'length' ? secondaryFlatLength : secondaryFlatAngle;
+        let flatPreset = elements.flatPreset.value;
+        if (flatPreset !== 'custom' && matchFlatPreset(secondaryFlatSize, secondaryFlatOffset) !== flatPreset) {
+            flatPreset = 'custom';
+            elements.flatPreset.value = flatPreset;
+        }
+        
         // Update state
         WaferState.updateWaferParams({
+            shape,
+            pieceAngle,
+            substrateWidth,
+            substrateHeight,
+            chamfer,
             diameter,
+            waferType,
+            orientation,
             flatAngle,
+            flatLength,
+            flatSizeMode,
+            flatPreset,
+            secondaryFlatAngle,
+            secondaryFlatLength,
+            secondaryFlatOffset,
             excludedRadius,
             name
         });
         
-        // Regenerate wafer map
-        WaferMapping.generateMap();
+        // Show the recomputed angle or length
+        updateFlatSizeControls();
+        
+        // Regenerate wafer map
+        WaferMapping.generateMap();
+    }
+    
+    /**
+     * Handle selection of a SEMI flat preset
+     */
+    function handleFlatPresetChange() {
+        const updates = getFlatPresetParams(elements.flatPreset.value, WaferState.getWaferParams());
+        
+        if (updates) {
+            WaferState.updateWaferParams(updates);
+        } else {
+            WaferState.updateWaferParams({ flatPreset: 'custom' });
+        }
+        
+        Controls.updateControlsFromState();
+        WaferMapping.generateMap();
+    }
+    
+    /**
+     * Show the flat angles and lengths from the current state
+     */
+    function updateFlatSizeControls() {
+        const waferParams = WaferState.getWaferParams();
+        const round = value => Math.round(value * 100) / 100;
+        
+        elements.flatAngle.value = round(waferParams.flatAngle);
+        elements.flatLength.value = round(waferParams.flatLength);
+        elements.secondaryFlatAngle.value = round(waferParams.secondaryFlatAngle);
+        elements.secondaryFlatLength.value = round(waferParams.secondaryFlatLength);
+    }
+    
+    /**
+     * Enable the size inputs that apply to the substrate shape
+     * @param {string} shape - Current substrate shape
+     */
+    function updateShapeControlsEnabled(shape) {
+        const isRectangular = shape === 'square' || shape === 'rectangle';
+        elements.pieceAngle.disabled = shape !== 'half' && shape !== 'quarter';
+        elements.substrateWidth.disabled = !isRectangular;
+        elements.substrateHeight.disabled = shape !== 'rectangle';
+        elements.substrateChamfer.disabled = !isRectangular;
+        elements.waferDiameter.disabled = isRectangular;
+        elements.waferType.disabled = isRectangular;
+        elements.waferOrientation.disabled = isRectangular;
+    }
+    
+    /**
+     * Enable the flat inputs only for flatted wafers
+     * @param {string} waferType - Current wafer type
+     * @param {string} shape - Current substrate shape; square and rectangular substrates have no flats
+     */
+    function updateFlatControlsEnabled(waferType, shape) {
+        const isFlat = waferType === 'flat' && shape !== 'square' && shape !== 'rectangle';
+        elements.flatAngle.disabled = !isFlat;
+        elements.flatLength.disabled = !isFlat;
+        elements.flatPreset.disabled = !isFlat;
+        elements.secondaryFlatAngle.disabled = !isFlat;
+        elements.secondaryFlatLength.disabled = !isFlat;
+        elements.secondaryFlatOffset.disabled = !isFlat;
+    }
+    
+    /**
+     * Handle changes to chip parameters
+     */
+    function handleChipParamsChange() {
+        const width = parseFloat(elements.chipWidth.value);
+        const height = parseFloat(elements.chipHeight.value);
+        const streetX = parseFloat(elements.streetX.value);
+        const streetY = parseFloat(elements.streetY.value);
+        const offsetX = parseFloat(elements.offsetX.value);
+        const offsetY = parseFloat(elements.offsetY.value);
+        
+        if (isNaN(width) || isNaN(height) || isNaN(streetX) || isNaN(streetY) ||
+            isNaN(offsetX) || isNaN(offsetY)) {
+            return;
+        }
+        
+        // Update state
+        WaferState.updateChipParams({
+            width,
+            height,
+            streetX: Math.max(0, streetX),
+            streetY: Math.max(0, streetY),
+            offsetX,
+            offsetY
+        });
+        
+        // Regenerate wafer map
+        WaferMapping.generateMap();
+    }
+    
+    /**
+     * Search for the grid offset with the most gross dies and apply it
+     */
+    function handleOptimizeGrid() {
+        const waferParams = WaferState.getWaferParams();
+        const chipParams = WaferState.getChipParams();
+        const currentCount = WaferState.getAllChips().filter(chip => chip.inside).length;
+        
+        // Score the offsets on the same layout as the map, keep-out zones included
+        const best = optimizeGridOffset(waferParams, chipParams, WaferState.getLayoutParams(), {
+            mode: elements.optimizeMode.value
+        });
+        
+        // Keep the current placement unless the search actually found more dies
+        if (best.count > currentCount) {
+            WaferState.updateChipParams({
+                offsetX: Math.round(best.offsetX * 1000) / 1000,
+                offsetY: Math.round(best.offsetY * 1000) / 1000
+            });
+            
+            Controls.updateControlsFromState();
+            WaferMapping.generateMap();
+            
+            elements.grossDieReport.textContent =
+                `Gross dies: ${best.count} (was ${currentCount}) with ${best.placement}`;
+        } else {
+            elements.grossDieReport.textContent =
+                `Gross dies: ${currentCount}, already the best placement (best found ${best.count})`;
+        }
+    }
+    
+    /**
+     * Editable fields for each keep-out zone type
+     */
+    const KEEP_OUT_FIELDS = {
+        rect: [['x', 'X (mm)'], ['y', 'Y (mm)'], ['width', 'Width (mm)'], ['height', 'Height (mm)']],
+        circle: [['cx', 'Center X (mm)'], ['cy', 'Center Y (mm)'], ['r', 'Radius (mm)']],
+        polygon: [['points', 'Points (x,y x,y ...)']]
+    };
+    
+    /**
+     * Starting shape for newly added keep-out zones
+     */
+    const KEEP_OUT_DEFAULTS = {
+        rect: { type: 'rect', x: -5, y: -5, width: 10, height: 10 },
+        circle: { type: 'circle', cx: 0, cy: 0, r: 5 },
+        polygon: { type: 'polygon', points: [{ x: 0, y: -5 }, { x: 5, y: 5 }, { x: -5, y: 5 }] }
+    };
+    
+    /**
+     * Parse polygon points written as "x,y x,y ..."
+     * @param {string} text - Point list
+     * @returns {Array|null} Points, or null if the text is not a valid polygon
+     */
+    function parsePolygonPoints(text) {
+        const points = text.trim().split(/[\s;]+/).map(pair => {
+            const [x, y] = pair.split(',').map(parseFloat);
+            return { x, y };
+        });
+        
+        if (points.length < 3 || points.some(p => isNaN(p.x) || isNaN(p.y))) {
+            return null;
+        }
+        
+        return points;
+    }
+    
+    /**
+     * Create an entry of a list editor with a title and a remove button
+     * @param {string} title - Heading of the entry
+     * @param {string} removeTitle - Tooltip of the remove button
+     * @param {Function} onRemove - Called when the remove button is clicked
+     * @returns {Object} The entry element and its field container
+     */
+    function createEditorItem(title, removeTitle, onRemove) {
+        const item = document.createElement('div');
+        item.className = 'editor-item';
+        
+        const header = document.createElement('div');
+        header.className = 'editor-header';
+        header.textContent = title;
+        
+        const removeButton = document.createElement('button');
+        removeButton.className = 'remove-button';
+        removeButton.textContent = '×';
+        removeButton.title = removeTitle;
+        removeButton.addEventListener('click', onRemove);
+        header.appendChild(removeButton);
+        item.appendChild(header);
+        
+        const fields = document.createElement('div');
+        fields.className = 'editor-fields';
+        item.appendChild(fields);
+        
+        return { item, fields };
+    }
+    
+    /**
+     * Add a labelled input to the fields of a list editor entry
+     * @param {HTMLElement} fields - Field container of the entry
+     * @param {string} labelText - Label of the field
+     * @param {HTMLElement} input - Input or select element
+     * @param {boolean} wide - Whether the field spans the full row
+     */
+    function appendEditorField(fields, labelText, input, wide = false) {
+        const wrapper = document.createElement('div');
+        if (wide) wrapper.className = 'wide';
+        
+        const label = document.createElement('label');
+        label.textContent = labelText;
+        
+        wrapper.appendChild(label);
+        wrapper.appendChild(input);
+        fields.appendChild(wrapper);
+    }
+    
+    /**
+     * Create a number input for a list editor
+     * @param {number} value - Current value
+     * @param {string} step - Step of the input
+     * @returns {HTMLInputElement} The input element
+     */
+    function createNumberInput(value, step) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = step;
+        input.value = value;
+        return input;
+    }
+    
+    /**
+     * Rebuild the keep-out zone editor from state
+     */
+    function renderKeepOutList() {
+        const zones = WaferState.getKeepOutZones();
+        elements.keepOutList.innerHTML = '';
+        
+        zones.forEach((zone, index) => {
+            const title = `${index + 1}. ${zone.type === 'rect' ? 'Rectangle' : zone.type === 'circle' ? 'Circle' : 'Polygon'}`;
+            const { item, fields } = createEditorItem(title, 'Remove zone', () => handleRemoveKeepOutZone(index));
+            
+            (KEEP_OUT_FIELDS[zone.type] || []).forEach(([key, labelText]) => {
+                let input;
+                if (key === 'points') {
+                    input = document.createElement('input');
+                    input.type = 'text';
+                    input.value = zone.points.map(p => `${p.x},${p.y}`).join(' ');
+                } else {
+                    input = createNumberInput(zone[key], '0.1');
+                }
+                input.addEventListener('change', () => handleKeepOutZoneChange(index, key, input));
+                
+                appendEditorField(fields, labelText, input, key === 'points');
+            });
+            
+            elements.keepOutList.appendChild(item);
+        });
+    }
+    
+    /**
+     * Handle edits to a keep-out zone field
+     * @param {number} index - Index of the zone
+     * @param {string} key - Zone property being edited
+     * @param {HTMLInputElement} input - Input holding the new value
+     */
+    function handleKeepOutZoneChange(index, key, input) {
+        const zones = WaferState.getKeepOutZones();
+        const zone = zones[index];
+        if (!zone) return;
+        
+        if (key === 'points') {
+            const points = parsePolygonPoints(input.value);
+            if (!points) {
+                input.classList.add('invalid');
+                return;
+            }
+            zone.points = points;
+        } else {
+            const value = parseFloat(input.value);
+            if (isNaN(value) || ((key === 'width' || key === 'height' || key === 'r') && value <= 0)) {
+                input.classList.add('invalid');
+                return;
+            }
+            zone[key] = value;
+        }
+        
+        input.classList.remove('invalid');
+        WaferState.setKeepOutZones(zones);
+        WaferMapping.generateMap();
+    }
+    
+    /**
+     * Add a keep-out zone of the given type
+     * @param {string} type - 'rect', 'circle' or 'polygon'
+     */
+    function handleAddKeepOutZone(type) {
+        const zones = WaferState.getKeepOutZones();
+        zones.push(JSON.parse(JSON.stringify(KEEP_OUT_DEFAULTS[type])));
+        WaferState.setKeepOutZones(zones);
+        
+        renderKeepOutList();
+        WaferMapping.generateMap();
+    }
+    
+    /**
+     * Remove a keep-out zone
+     * @param {number} index - Index of the zone
+     */
+    function handleRemoveKeepOutZone(index) {
+        const zones = WaferState.getKeepOutZones();
+        zones.splice(index, 1);
+        WaferState.setKeepOutZones(zones);
+        
+        renderKeepOutList();
+        WaferMapping.generateMap();
+    }
+    
+    /**
+     * Editable size fields of a die type
+     */
+    const DIE_TYPE_FIELDS = [['width', 'Width (mm)'], ['height', 'Height (mm)']];
+    
+    /**
+     * Editable placement fields of a die block
+     */
+    const DIE_BLOCK_FIELDS = [['x', 'X (mm)'], ['y', 'Y (mm)'], ['cols', 'Columns'], ['rows', 'Rows']];
+    
+    /**
+     * Rebuild the die type and block editors from state
+     */
+    function renderProductLists() {
+        const dieTypes = WaferState.getDieTypes();
+        const dieBlocks = WaferState.getDieBlocks();
+        
+        elements.dieTypeList.innerHTML = '';
+        dieTypes.forEach((type, index) => {
+            const { item, fields } = createEditorItem(type.id, 'Remove die type and its blocks',
+                () => handleRemoveDieType(index));
+            
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.value = type.name;
+            nameInput.addEventListener('change', () => handleDieTypeChange(index, 'name', nameInput));
+            appendEditorField(fields, 'Name', nameInput, true);
+            
+            DIE_TYPE_FIELDS.forEach(([key, labelText]) => {
+                const input = createNumberInput(type[key], '0.1');
+                input.min = '0.1';
+                input.addEventListener('change', () => handleDieTypeChange(index, key, input));
+                appendEditorField(fields, labelText, input);
+            });
+            
+            elements.dieTypeList.appendChild(item);
+        });
+        
+        elements.dieBlockList.innerHTML = '';
+        dieBlocks.forEach((block, index) => {
+            const { item, fields } = createEditorItem(`Block ${index + 1}`, 'Remove block',
+                () => handleRemoveDieBlock(index));
+            
+            const typeSelect = document.createElement('select');
+            dieTypes.forEach(type => {
+                const option = document.createElement('option');
+                option.value = type.id;
+                option.textContent = type.name ? `${type.id} - ${type.name}` : type.id;
+                typeSelect.appendChild(option);
+            });
+            typeSelect.value = block.typeId;
+            typeSelect.addEventListener('change', () => handleDieBlockChange(index, 'typeId', typeSelect));
+            appendEditorField(fields, 'Die Type', typeSelect, true);
+            
+            DIE_BLOCK_FIELDS.forEach(([key, labelText]) => {
+                const isCount = key === 'cols' || key === 'rows';
+                const input = createNumberInput(block[key], isCount ? '1' : '0.1');
+                if (isCount) input.min = '1';
+                input.addEventListener('change', () => handleDieBlockChange(index, key, input));
+                appendEditorField(fields, labelText, input);
+            });
+            
+            elements.dieBlockList.appendChild(item);
+        });
+        
+        updatePaintProductOptions();
+    }
+    
+    /**
+     * Refill the paint product filter with the current die types
+     */
+    function updatePaintProductOptions() {
+        const current = WaferState.getLabelParams().paintProduct;
+        const options = [['', 'All products'], [MAIN_PRODUCT_ID, 'Main grid']]
+            .concat(WaferState.getDieTypes().map(type => [type.id, type.name ? `${type.id} - ${type.name}` : type.id]));
+        
+        elements.paintProduct.innerHTML = '';
+        options.forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            elements.paintProduct.appendChild(option);
+        });
+        
+        // Fall back to all products when the filtered type was removed
+        if (!options.some(([value]) => value === current)) {
+            WaferState.updateLabelParams({ paintProduct: '' });
+        }
+        elements.paintProduct.value = WaferState.getLabelParams().paintProduct;
+    }
+    
+    /**
+     * Handle edits to a die type field
+     * @param {number} index - Index of the die type
+     * @param {string} key - Property being edited
+     * @param {HTMLInputElement} input - Input holding the new value
+     */
+    function handleDieTypeChange(index, key, input) {
+        const dieTypes = WaferState.getDieTypes();
+        const dieType = dieTypes[index];
+        if (!dieType) return;
+        
+        if (key === 'name') {
+            dieType.name = input.value.trim();
+        } else {
+            const value = parseFloat(input.value);
+            if (isNaN(value) || value <= 0) {
+                input.classList.add('invalid');
+                return;
+            }
+            dieType[key] = value;
+        }
+        
+        input.classList.remove('invalid');
+        WaferState.setDieTypes(dieTypes);
+        
+        renderProductLists();
+        WaferMapping.generateMap();
+    }
+    
+    /**
+     * Add a die type with the size of the main grid dies
+     */
+    function handleAddDieType() {
+        const dieTypes = WaferState.getDieTypes();
+        const chipParams = WaferState.getChipParams();
+        
+        // Pick the first free ID of the form P1, P2, ...
+        let number = 1;
+        while (dieTypes.some(type => type.id === `P${number}`)) number++;
+        
+        dieTypes.push({ id: `P${number}`, name: '', width: chipParams.width, height: chipParams.height });
+        WaferState.setDieTypes(dieTypes);
+        
+        renderProductLists();
+    }
+    
+    /**
+     * Remove a die type together with its blocks
+     * @param {number} index - Index of the die type
+     */
+    function handleRemoveDieType(index) {
+        const dieTypes = WaferState.getDieTypes();
+        const [removed] = dieTypes.splice(index, 1);
+        if (!removed) return;
+        
+        WaferState.setDieTypes(dieTypes);
+        WaferState.setDieBlocks(WaferState.getDieBlocks().filter(block => block.typeId !== removed.id));
+        
+        renderProductLists();
+        WaferMapping.generateMap();
+    }
+    
+    /**
+     * Handle edits to a die block field
+     * @param {number} index - Index of the block
+     * @param {string} key - Property being edited
+     * @param {HTMLInputElement|HTMLSelectElement} input - Input holding the new value
+     */
+    function handleDieBlockChange(index, key, input) {
+        const dieBlocks = WaferState.getDieBlocks();
+        const block = dieBlocks[index];
+        if (!block) return;
+        
+        if (key === 'typeId') {
+            block.typeId = input.value;
+        } else {
+            const value = key === 'cols' || key === 'rows' ? parseInt(input.value, 10) : parseFloat(input.value);
+            if (isNaN(value) || ((key === 'cols' || key === 'rows') && value < 1)) {
+                input.classList.add('invalid');
+                return;
+            }
+            block[key] = value;
+        }
+        
+        input.classList.remove('invalid');
+        WaferState.setDieBlocks(dieBlocks);
+        WaferMapping.generateMap();
+    }
+    
+    /**
+     * Add a block of the first die type at the wafer center
+     */
+    function handleAddDieBlock() {
+        const dieTypes = WaferState.getDieTypes();
+        if (dieTypes.length === 0) {
+            alert('Add a die type before placing a block.');
+            return;
+        }
+        
+        const dieBlocks = WaferState.getDieBlocks();
+        dieBlocks.push({ typeId: dieTypes[0].id, x: 0, y: 0, cols: 2, rows: 2 });
+        WaferState.setDieBlocks(dieBlocks);
+        
+        renderProductLists();
+        WaferMapping.generateMap();
+    }
+    
+    /**
+     * Remove a die block
+     * @param {number} index - Index of the block
+     */
+    function handleRemoveDieBlock(index) {
+        const dieBlocks = WaferState.getDieBlocks();
+        dieBlocks.splice(index, 1);
+        WaferState.setDieBlocks(dieBlocks);
+        
+        renderProductLists();
+        WaferMapping.generateMap();
+    }
+    
+    /**
+     * Handle changes to reticle parameters
+     */
+    function handleReticleParamsChange() {
+        const diesX = parseInt(elements.reticleDiesX.value, 10);
+        const diesY = parseInt(elements.reticleDiesY.value, 10);
+        const offsetX = parseInt(elements.reticleOffsetX.value, 10);
+        const offsetY = parseInt(elements.reticleOffsetY.value, 10);
+        
+        if (isNaN(diesX) || isNaN(diesY) || isNaN(offsetX) || isNaN(offsetY) ||
+            diesX < 1 || diesY < 1) {
+            return;
+        }
+        
+        // Update state
+        WaferState.updateReticleParams({
+            diesX,
+            diesY,
+            offsetX,
+            offsetY
+        });
+        
+        // Shots are assigned during generation
+        WaferMapping.generateMap();
+    }
+    
+    /**
+     * Handle toggling of the reticle field overlay
+     */
+    function handleShowFieldsChange() {
+        WaferState.updateReticleParams({
+            showFields: elements.showFields.checked
+        });
+        
+        WaferMapping.renderMap();
+    }
+    
+    /**
+     * Handle changes to the die numbering scheme
+     */
+    function handleNumberingParamsChange() {
+        WaferState.updateNumberingParams({
+            scheme: elements.numberingScheme.value,
+            startCorner: elements.numberingStart.value,
+            skipPartial: elements.numberingSkipPartial.checked
+        });
+        
+        // Numbers are assigned during generation
+        WaferMapping.generateMap();
+    }
+    
+    /**
+     * Handle changes to the die coordinate system
+     */
+    function handleCoordParamsChange() {
+        const referenceX = parseFloat(elements.coordReferenceX.value);
+        const referenceY = parseFloat(elements.coordReferenceY.value);
+        
+        if (isNaN(referenceX) || isNaN(referenceY)) {
+            return;
+        }
+        
+        updateCoordControlsEnabled(elements.coordOrigin.value);
+        
+        // Update state
+        WaferState.updateCoordParams({
+            origin: elements.coordOrigin.value,
+            corner: elements.coordCorner.value,
+            referenceX,
+            referenceY,
+            xDirection: elements.coordXDirection.value,
+            yDirection: elements.coordYDirection.value
+        });
+        
+        // Coordinates are assigned during generation
+        WaferMapping.generateMap();
+    }
+    
+    /**
+     * Handle toggling of the coordinate labels
+     */
+    function handleShowCoordinatesChange() {
+        WaferState.updateCoordParams({
+            showCoordinates: elements.showCoordinates.checked
+        });
+        
+        WaferMapping.renderMap();
+    }
+    
+    /**
+     * Enable only the inputs that apply to the chosen origin
+     * @param {string} origin - Current coordinate origin
+     */
+    function updateCoordControlsEnabled(origin) {
+        elements.coordCorner.disabled = origin !== 'corner';
+        elements.coordReferenceX.disabled = origin !== 'reference';
+        elements.coordReferenceY.disabled = origin !== 'reference';
+    }
+    
+    /**
+     * Colors handed out to new bins in turn
+     */
+    const BIN_COLORS = ['#fdd835', '#1e88e5', '#8e24aa', '#fb8c00', '#00acc1', '#6d4c41', '#d81b60', '#7cb342'];
+    
+    /**
+     * Find the bins whose ASCII map symbol is taken
+     * Symbols are compared as written to the map, defaults from the codes included. A symbol is taken by
+     * another bin or by the no-die or unbinned character. Bins falling back to '?' only clash with those
+     * characters; the ASCII export reports their dies.
+     * @param {Array} bins - Bins to check
+     * @param {Object} asciiParams - ASCII map parameters
+     * @returns {Set} Indices of the bins whose symbol is taken
+     */
+    function findSymbolClashes(bins, asciiParams) {
+        const symbols = bins.map(bin => ExportTools.getBinSymbol(bin));
+        const hasSymbol = index => Boolean(bins[index].symbol) || symbols[index] !== '?';
+        const clashes = new Set();
+        
+        symbols.forEach((symbol, index) => {
+            const reserved = symbol === asciiParams.emptyChar || symbol === asciiParams.untestedChar;
+            const shared = hasSymbol(index) &&
+                symbols.some((other, otherIndex) => otherIndex !== index && other === symbol && hasSymbol(otherIndex));
+            if (reserved || shared) clashes.add(index);
+        });
+        
+        return clashes;
+    }
+    
+    /**
+     * Rebuild the bin table editor from state and mark the active brush
+     */
+    function renderBinList() {
+        const bins = WaferState.getBins();
+        const currentBin = WaferState.getLabelParams().bin;
+        const symbolClashes = findSymbolClashes(bins, WaferState.getAsciiMapParams());
+        elements.binList.innerHTML = '';
+        
+        bins.forEach((bin, index) => {
+            const { item, fields } = createEditorItem(`Bin ${bin.code}: ${bin.name}`, 'Remove bin',
+                () => handleRemoveBin(index));
+            if (bin.code === currentBin) item.classList.add('active');
+            
+            // Picking the bin as brush
+            const brushButton = document.createElement('button');
+            brushButton.className = 'brush-button';
+            brushButton.textContent = 'Paint';
+            brushButton.style.borderLeft = `12px solid ${bin.color}`;
+            brushButton.addEventListener('click', () => handleSelectBin(bin.code));
+            item.firstChild.insertBefore(brushButton, item.firstChild.lastChild);
+            
+            const codeInput = createNumberInput(bin.code, '1');
+            codeInput.min = '0';
+            codeInput.addEventListener('change', () => handleBinChange(index, 'code', codeInput));
+            appendEditorField(fields, 'Code', codeInput);
+            
+            const colorInput = document.createElement('input');
+            colorInput.type = 'color';
+            colorInput.value = bin.color;
+            colorInput.addEventListener('change', () => handleBinChange(index, 'color', colorInput));
+            appendEditorField(fields, 'Color', colorInput);
+            
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.value = bin.name;
+            nameInput.addEventListener('change', () => handleBinChange(index, 'name', nameInput));
+            appendEditorField(fields, 'Name', nameInput);
+            
+            const passInput = document.createElement('input');
+            passInput.type = 'checkbox';
+            passInput.checked = bin.pass;
+            passInput.addEventListener('change', () => handleBinChange(index, 'pass', passInput));
+            appendEditorField(fields, 'Pass', passInput);
+            
+            // Character of the bin in ASCII maps, derived from the code when left empty
+            const symbolInput = document.createElement('input');
+            symbolInput.type = 'text';
+            symbolInput.maxLength = 1;
+            symbolInput.value = bin.symbol || '';
+            symbolInput.placeholder = ExportTools.getBinSymbol({ code: bin.code });
+            symbolInput.classList.toggle('invalid', symbolClashes.has(index));
+            symbolInput.addEventListener('change', () => handleBinChange(index, 'symbol', symbolInput));
+            appendEditorField(fields, 'Symbol', symbolInput);
+            
+            elements.binList.appendChild(item);
+        });
+        
+        elements.eraseBin.classList.toggle('active', currentBin === null);
+    }
+    
+    /**
+     * Make a bin the paint brush
+     * @param {number|null} code - Bin code, or null to erase
+     */
+    function handleSelectBin(code) {
+        WaferState.updateLabelParams({ bin: code });
+        renderBinList();
+    }
+    
+    /**
+     * Handle edits to a bin field
+     * @param {number} index - Index of the bin
+     * @param {string} key - Property being edited
+     * @param {HTMLInputElement} input - Input holding the new value
+     */
+    function handleBinChange(index, key, input) {
+        const bins = WaferState.getBins();
+        const bin = bins[index];
+        if (!bin) return;
+        
+        // The code gives the default ASCII map symbol, so both must leave the bin a symbol of its own
+        if (key === 'code' || key === 'symbol') {
+            const edited = key === 'code' ?
+                { ...bin, code: parseInt(input.value, 10) } :
+                { ...bin, symbol: input.value || undefined };
+            const clashes = findSymbolClashes(bins.map((other, i) => i === index ? edited : other),
+                WaferState.getAsciiMapParams());
+            if (clashes.has(index) && ExportTools.getBinSymbol(edited) !== ExportTools.getBinSymbol(bin)) {
+                input.classList.add('invalid');
+                return;
+            }
+        }
+        
+        if (key === 'code') {
+            // Codes identify the bins, so they must stay unique
+            const code = parseInt(input.value, 10);
+            if (isNaN(code) || code < 0 || bins.some((other, i) => i !== index && other.code === code)) {
+                input.classList.add('invalid');
+                return;
+            }
+            
+            WaferState.reassignBin(bin.code, code);
+            bin.code = code;
+        } else if (key === 'pass') {
+            bin.pass = input.checked;
+        } else if (key === 'name') {
+            bin.name = input.value.trim();
+        } else if (key === 'symbol') {
+            if (input.value) {
+                bin.symbol = input.value;
+            } else {
+                delete bin.symbol;
+            }
+        } else {
+            bin[key] = input.value;
+        }
+        
+        input.classList.remove('invalid');
+        WaferState.setBins(bins);
+        
+        // Every chip of the bin follows its new code and color
+        renderBinList();
+        WaferMapping.renderMap();
+    }
+    
+    /**
+     * Add a bin with the next free code and make it the brush
+     */
+    function handleAddBin() {
+        const bins = WaferState.getBins();
+        const code = Math.max(0, ...bins.map(bin => bin.code)) + 1;
+        
+        bins.push({
+            code: code,
+            name: `Bin ${code}`,
+            color: BIN_COLORS[bins.length % BIN_COLORS.length],
+            pass: false
+        });
+        WaferState.setBins(bins);
+        
+        handleSelectBin(code);
+    }
+    
+    /**
+     * Remove a bin, leaving its chips unbinned
+     * @param {number} index - Index of the bin
+     */
+    function handleRemoveBin(index) {
+        const bins = WaferState.getBins();
+        const [removed] = bins.splice(index, 1);
+        if (!removed) return;
+        
+        WaferState.reassignBin(removed.code, null);
+        WaferState.setBins(bins);
+        
+        renderBinList();
+        WaferMapping.renderMap();
+    }
+    
+    /**
+     * Handle changes to the legend settings
+     */
+    function handleLegendParamsChange() {
+        WaferState.updateLegendParams({
+            show: elements.showLegend.checked,
+            position: elements.legendPosition.value
+        });
+        
+        WaferMapping.renderMap();
+    }
+    
+    /**
+     * Show the heatmap settings and the measurements that can color the map
+     * With an automatic range the min and max fields show the measured range.
+     */
+    function renderHeatmapControls() {
+        const params = WaferState.getHeatmapParams();
+        const names = WaferState.getParameterNames();
+        
+        // Keep a chosen measurement listed even when no die holds it any more
+        if (params.parameter && !names.includes(params.parameter)) names.push(params.parameter);
+        
+        elements.heatmapParameter.innerHTML = '';
+        elements.heatmapParameter.appendChild(new Option('Bin', ''));
+        names.forEach(name => elements.heatmapParameter.appendChild(new Option(name, name)));
+        elements.heatmapParameter.value = params.parameter;
+        
+        elements.heatmapScale.value = params.scale;
+        elements.heatmapSteps.value = params.steps;
+        elements.heatmapSteps.disabled = params.scale !== 'stepped';
+        elements.heatmapPalette.value = params.palette;
+        elements.heatmapAutoRange.checked = params.autoRange;
+        
+        const range = params.autoRange && params.parameter ? WaferState.getParameterRange(params.parameter) : null;
+        elements.heatmapMin.value = range ? range.min : params.min;
+        elements.heatmapMax.value = range ? range.max : params.max;
+        elements.heatmapMin.disabled = params.autoRange;
+        elements.heatmapMax.disabled = params.autoRange;
+    }
+    
+    /**
+     * Handle changes to the heatmap settings
+     */
+    function handleHeatmapParamsChange() {
+        const steps = parseInt(elements.heatmapSteps.value, 10);
+        const min = parseFloat(elements.heatmapMin.value);
+        const max = parseFloat(elements.heatmapMax.value);
+        
+        // Switching to a manual range starts from the range shown
+        WaferState.updateHeatmapParams({
+            parameter: elements.heatmapParameter.value,
+            scale: elements.heatmapScale.value,
+            steps: isNaN(steps) ? 8 : Math.min(Math.max(steps, 2), 32),
+            palette: elements.heatmapPalette.value,
+            autoRange: elements.heatmapAutoRange.checked,
+            min: isNaN(min) ? 0 : min,
+            max: isNaN(max) ? 1 : max
+        });
+        
+        WaferMapping.renderMap();
+        renderHeatmapControls();
+    }
+    
+    /**
+     * Handle the undo and redo shortcuts
+     * Text fields keep their own undo.
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    function handleHistoryKeys(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') return;
+        
+        const target = event.target;
+        if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) {
+            return;
+        }
+        
+        event.preventDefault();
+        if (event.shiftKey) {
+            WaferMapping.redo();
+        } else {
+            WaferMapping.undo();
+        }
+    }
+    
+    /**
+     * Drop the selection on Escape
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    function handleSelectionKeys(event) {
+        if (event.key !== 'Escape' || WaferState.getSelection().length === 0) return;
+        
+        ChipInteraction.clearSelection();
+    }
+    
+    /**
+     * Describe a die for the tooltip and the inspector
+     * @param {Object} chip - Chip object
+     * @returns {Array} Rows of [name, value], where the bin value is {text, color}
+     */
+    function getChipDetails(chip) {
+        const bin = WaferState.getBin(chip.bin);
+        const centerX = chip.x + chip.width / 2;
+        const centerY = chip.y + chip.height / 2;
+        
+        const rows = [
+            ['ID', chip.id],
+            ['Number', chip.number !== null ? chip.number : '—'],
+            ['Position', Number.isInteger(chip.col) && Number.isInteger(chip.row) ? `${chip.col}, ${chip.row}` : '—'],
+            ['Center (mm)', `${centerX.toFixed(3)}, ${centerY.toFixed(3)}`],
+            ['Status', chip.status === 'full' ? 'Full' : 'Partial (edge)']
+        ];
+        
+        if (chip.product !== MAIN_PRODUCT_ID) {
+            rows.push(['Product', chip.product]);
+        }
+        
+        rows.push(['Bin', bin ? { text: `${bin.code} ${bin.name}`, color: bin.color } : { text: 'Unbinned', color: '#ffffff' }]);
+        
+        return rows;
+    }
+    
+    /**
+     * Show the details of the inspected die, or close the inspector if it is gone from the map
+     */
+    function renderInspector() {
+        const chip = inspectedChipId !== null ? WaferState.getChipById(inspectedChipId) : null;
+        if (!chip || !isChipOnMap(chip)) {
+            inspectedChipId = null;
+            elements.chipInspector.hidden = true;
+            return;
+        }
+        
+        elements.inspectorDetails.innerHTML = '';
+        getChipDetails(chip).forEach(([name, value]) => {
+            const row = document.createElement('tr');
+            const nameCell = document.createElement('td');
+            const valueCell = document.createElement('td');
+            nameCell.textContent = name;
+            
+            if (value !== null && typeof value === 'object') {
+                const swatch = document.createElement('span');
+                swatch.className = 'stats-swatch';
+                swatch.style.backgroundColor = value.color;
+                valueCell.appendChild(swatch);
+                valueCell.appendChild(document.createTextNode(' ' + value.text));
+            } else {
+                valueCell.textContent = value;
+            }
+            
+            row.appendChild(nameCell);
+            row.appendChild(valueCell);
+            elements.inspectorDetails.appendChild(row);
+        });
+        
+        // Measurements can be edited, or removed by clearing them
+        elements.inspectorValues.innerHTML = '';
+        Object.keys(chip.values).sort().forEach(name => {
+            const input = createNumberInput(chip.values[name], 'any');
+            input.addEventListener('change', () => handleChipValueChange(name, input.value));
+            appendEditorField(elements.inspectorValues, name, input);
+        });
+        
+        // Leave the note alone while it is being typed
+        if (document.activeElement !== elements.chipNote) {
+            elements.chipNote.value = chip.note || '';
+        }
+        elements.chipInspector.hidden = false;
+    }
+    
+    /**
+     * Set or remove a measurement of the inspected die
+     * @param {string} name - Measurement name
+     * @param {string} text - Value as typed, empty to remove the measurement
+     */
+    function handleChipValueChange(name, text) {
+        const chip = inspectedChipId !== null ? WaferState.getChipById(inspectedChipId) : null;
+        if (!chip) return;
+        
+        const value = parseFloat(text);
+        const values = { ...chip.values };
+        if (text.trim() === '') {
+            delete values[name];
+        } else if (Number.isFinite(value)) {
+            values[name] = value;
+        } else {
+            return;
+        }
+        
+        WaferState.updateChip(chip.id, { values });
+        
+        // The heatmap range may have moved, so redraw the whole map
+        WaferMapping.renderMap();
+        renderHeatmapControls();
+        renderDieListColumns();
+    }
+    
+    /**
+     * Add the measurement typed below the inspected die's values
+     */
+    function handleAddValue() {
+        const name = elements.newValueName.value.trim();
+        if (!name || elements.newValue.value.trim() === '') return;
+        
+        handleChipValueChange(name, elements.newValue.value);
+        elements.newValueName.value = '';
+        elements.newValue.value = '';
     }
     
     /**
-     * Handle changes to chip parameters
+     * Store the note of the inspected die as it is typed
      */
-    function handleChipParamsChange() {
-        const width = parseFloat(elements.chipWidth.value);
-        const height = parseFloat(elements.chipHeight.value);
-        
-        if (isNaN(width) || isNaN(height)) {
-            return;
-        }
-        
-        // Update state
-        WaferState.updateChipParams({
-            width,
-            height
-        });
+    function handleNoteInput() {
+        if (inspectedChipId === null) return;
         
-        // Regenerate wafer map
-        WaferMapping.generateMap();
+        WaferState.updateChip(inspectedChipId, { note: elements.chipNote.value });
+        SvgRenderer.updateChipNote(inspectedChipId);
     }
     
     /**
-     * Handle changes to labeling parameters
+     * Make the finished note edit one undo step
+     */
+    function handleNoteChange() {
+        WaferState.recordSnapshot();
+        Controls.updateHistoryButtons();
+    }
+    
+    /**
+     * Handle changes to painting parameters
      */
     function handleLabelParamsChange() {
-        const color = elements.chipColor.value;
-        const label = elements.chipLabel.value;
+        const paintTarget = elements.paintTarget.value;
+        const paintProduct = elements.paintProduct.value;
         
         // Update state
         WaferState.updateLabelParams({
-            color,
-            label
+            paintTarget,
+            paintProduct
         });
     }
     
     /**
-     * Handle font size change
+     * Handle font size change while the slider is dragged
      */
-    function handleFontSizeChange() {
+    function handleFontSizeInput() {
         const fontSizePercent = parseFloat(elements.labelFontSize.value);
         if (isNaN(fontSizePercent)) return;
         
@@ -109,10 +1293,16 @@ const Controls = (function() {
             labelFontSize: fontSizePercent
         });
         
-        // Redraw all chips to update font size
-        const chips = WaferState.getAllChips();
-        const waferParams = WaferState.getWaferParams();
-        SvgRenderer.renderWafer(chips, waferParams);
+        // Redraw all chips to update font size, the history step is recorded once the slider is released
+        WaferMapping.previewMap();
+    }
+    
+    /**
+     * Make the finished font size change one undo step
+     */
+    function handleFontSizeChange() {
+        WaferState.recordSnapshot();
+        Controls.updateHistoryButtons();
     }
     
     /**
@@ -155,9 +1345,7 @@ const Controls = (function() {
                 Controls.updateControlsFromState();
                 
                 // Render the wafer with the imported chips
-                const chips = WaferState.getAllChips();
-                const waferParams = WaferState.getWaferParams();
-                SvgRenderer.renderWafer(chips, waferParams);
+                WaferMapping.renderMap();
                 
                 console.log('Wafer map imported successfully');
             } else {
@@ -171,6 +1359,371 @@ const Controls = (function() {
         reader.readAsText(file);
     }
     
+    /**
+     * Show the die list columns in export order, each with its checkbox and move buttons
+     */
+    function renderDieListColumns() {
+        const params = WaferState.getDieListParams();
+        const columns = ExportTools.getDieListColumns();
+        
+        elements.dieListFormat.value = params.delimiter === '\t' ? 'tab' : 'comma';
+        elements.dieListMetadata.checked = params.includeMetadata;
+        elements.dieListColumns.innerHTML = '';
+        
+        const saveColumns = () => {
+            WaferState.updateDieListParams({ columns: columns.map(({ id, enabled }) => ({ id, enabled })) });
+            renderDieListColumns();
+        };
+        
+        const moveColumn = (index, offset) => {
+            const target = index + offset;
+            if (target < 0 || target >= columns.length) return;
+            [columns[index], columns[target]] = [columns[target], columns[index]];
+            saveColumns();
+        };
+        
+        columns.forEach((column, index) => {
+            const row = document.createElement('div');
+            row.className = 'checkbox-group';
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = `die-list-column-${index}`;
+            checkbox.checked = column.enabled;
+            checkbox.addEventListener('change', () => {
+                column.enabled = checkbox.checked;
+                saveColumns();
+            });
+            
+            const label = document.createElement('label');
+            label.htmlFor = checkbox.id;
+            label.textContent = column.title;
+            
+            const upButton = document.createElement('button');
+            upButton.textContent = '↑';
+            upButton.title = 'Move the column left';
+            upButton.disabled = index === 0;
+            upButton.addEventListener('click', () => moveColumn(index, -1));
+            
+            const downButton = document.createElement('button');
+            downButton.textContent = '↓';
+            downButton.title = 'Move the column right';
+            downButton.disabled = index === columns.length - 1;
+            downButton.addEventListener('click', () => moveColumn(index, 1));
+            
+            row.appendChild(checkbox);
+            row.appendChild(label);
+            row.appendChild(upButton);
+            row.appendChild(downButton);
+            elements.dieListColumns.appendChild(row);
+        });
+    }
+    
+    /**
+     * Handle changes to the die list format and metadata header
+     */
+    function handleDieListParamsChange() {
+        WaferState.updateDieListParams({
+            delimiter: elements.dieListFormat.value === 'tab' ? '\t' : ',',
+            includeMetadata: elements.dieListMetadata.checked
+        });
+    }
+    
+    /**
+     * Handle changes to the ASCII map characters and orientation
+     * The no-die and unbinned characters must be single, different characters that no bin uses as symbol.
+     */
+    function handleAsciiMapParamsChange() {
+        const emptyChar = elements.asciiEmptyChar.value;
+        const untestedChar = elements.asciiUntestedChar.value;
+        const binSymbols = WaferState.getBins().map(bin => ExportTools.getBinSymbol(bin));
+        const emptyValid = emptyChar.length === 1 && !binSymbols.includes(emptyChar);
+        const untestedValid = untestedChar.length === 1 && untestedChar !== emptyChar && !binSymbols.includes(untestedChar);
+        
+        elements.asciiEmptyChar.classList.toggle('invalid', !emptyValid);
+        elements.asciiUntestedChar.classList.toggle('invalid', !untestedValid);
+        
+        const params = { rotation: parseInt(elements.asciiRotation.value, 10) };
+        if (emptyValid && untestedValid) {
+            params.emptyChar = emptyChar;
+            params.untestedChar = untestedChar;
+        }
+        WaferState.updateAsciiMapParams(params);
+        
+        // Bin symbols are checked against the new characters
+        renderBinList();
+    }
+    
+    /**
+     * Handle ASCII map file import
+     * @param {Event} event - Change event
+     */
+    function handleImportAsciiMap(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        
+        reader.onload = function(e) {
+            const report = ExportTools.importFromAsciiMap(e.target.result);
+            
+            if (report) {
+                elements.asciiReport.textContent = formatAsciiReport(report);
+            } else {
+                alert('The file holds no die characters.');
+            }
+            
+            // Reset the file input so the same file can be selected again
+            event.target.value = '';
+        };
+        
+        reader.readAsText(file);
+    }
+    
+    /**
+     * Describe the outcome of an ASCII map import
+     * @param {Object} report - Report from ExportTools.importFromAsciiMap
+     * @returns {string} One line per finding, listing at most ten cells or dies each
+     */
+    function formatAsciiReport(report) {
+        const list = items => items.slice(0, 10).join(', ') + (items.length > 10 ? `, … ${items.length - 10} more` : '');
+        const lines = [`ASCII map: ${report.cols} x ${report.rows} grid imported into ${report.updatedDies} dies.`];
+        
+        if (report.cols !== report.mapCols || report.rows !== report.mapRows) {
+            lines.push(`The map is ${report.mapCols} x ${report.mapRows} dies; the grids were aligned at their top-left corners.`);
+        }
+        if (report.unmatched.length > 0) {
+            lines.push(`Characters without a die (${report.unmatched.length}): ` +
+                list(report.unmatched.map(cell => `'${cell.char}' at line ${cell.line} column ${cell.column}`)));
+        }
+        if (report.missingDies.length > 0) {
+            lines.push(`Dies left unchanged, no character (${report.missingDies.length}): ` +
+                list(report.missingDies.map(id => `die ${id}`)));
+        }
+        if (report.addedBins.length > 0) {
+            lines.push(`New bins: ${report.addedBins.join(', ')}`);
+        }
+        
+        return lines.join('\n');
+    }
+    
+    /**
+     * Handle SEMI E142 file import
+     * @param {Event} event - Change event
+     */
+    function handleImportE142(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        
+        reader.onload = function(e) {
+            const report = ExportTools.importFromE142(e.target.result);
+            
+            if (report) {
+                elements.e142Report.textContent = formatE142Report(report);
+            } else {
+                alert('The file is not a SEMI E142 bin map with hexadecimal or decimal bin codes.');
+            }
+            
+            // Reset the file input so the same file can be selected again
+            event.target.value = '';
+        };
+        
+        reader.readAsText(file);
+    }
+    
+    /**
+     * Describe the outcome of a SEMI E142 import
+     * @param {Object} report - Report from ExportTools.importFromE142
+     * @returns {string} One line per finding, listing at most ten cells each
+     */
+    function formatE142Report(report) {
+        const list = items => items.slice(0, 10).join(', ') + (items.length > 10 ? `, … ${items.length - 10} more` : '');
+        const lines = [`E142: ${report.cols} x ${report.rows} map imported, ${report.updatedDies} dies binned.`];
+        
+        if (report.unmatched.length > 0) {
+            lines.push(`Binned cells without a die on the map (${report.unmatched.length}): ` +
+                list(report.unmatched.map(cell => `(${cell.x}, ${cell.y})`)));
+        }
+        if (report.clearedZones > 0 || report.clearedBlocks > 0) {
+            lines.push(`Removed to fit the map: ${report.clearedZones} keep-out zones, ${report.clearedBlocks} die blocks.`);
+        }
+        if (report.addedBins.length > 0) {
+            lines.push(`New bins: ${report.addedBins.join(', ')}`);
+        }
+        
+        return lines.join('\n');
+    }
+    
+    // Roles a CSV column can take, and the header names that suggest them (lowercase, letters and digits only)
+    const CSV_COLUMN_ROLES = [
+        ['x', 'X (mm)', ['x', 'xmm', 'posx', 'xpos', 'diex', 'centerx']],
+        ['y', 'Y (mm)', ['y', 'ymm', 'posy', 'ypos', 'diey', 'centery']],
+        ['number', 'Die Number', ['number', 'dienumber', 'die', 'dieno', 'no', 'nr']],
+        ['bin', 'Bin Code', ['bin', 'bincode', 'hardbin', 'hbin', 'softbin', 'sbin']],
+        ['label', 'Label', ['label', 'binname', 'name']],
+        ['color', 'Color (#rrggbb)', ['color', 'colour']]
+    ];
+    
+    /**
+     * Handle CSV file import by opening the column-mapping dialog
+     * @param {Event} event - Change event
+     */
+    function handleImportCsv(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        
+        reader.onload = function(e) {
+            const table = ExportTools.parseCsv(e.target.result);
+            
+            if (table && table.rows.length > 0) {
+                pendingCsv = table;
+                renderCsvDialog();
+                elements.csvDialog.hidden = false;
+            } else {
+                alert('The CSV file holds no data rows.');
+            }
+            
+            // Reset the file input so the same file can be selected again
+            event.target.value = '';
+        };
+        
+        reader.readAsText(file);
+    }
+    
+    /**
+     * Fill the column-mapping dialog from the header of the pending table
+     * Columns are assigned by their header names; other columns holding numbers become measurements.
+     */
+    function renderCsvDialog() {
+        const header = pendingCsv.header;
+        const normalized = header.map(name => name.toLowerCase().replace(/[^a-z0-9]/g, ''));
+        const assigned = new Set();
+        
+        elements.csvColumns.innerHTML = '';
+        csvColumnSelects = {};
+        
+        CSV_COLUMN_ROLES.forEach(([role, labelText, names]) => {
+            const select = document.createElement('select');
+            select.appendChild(new Option('(none)', '-1'));
+            header.forEach((name, index) => select.appendChild(new Option(name || `Column ${index + 1}`, String(index))));
+            
+            const guess = normalized.findIndex((name, index) => names.includes(name) && !assigned.has(index));
+            if (guess >= 0) {
+                select.value = String(guess);
+                assigned.add(guess);
+            }
+            
+            appendEditorField(elements.csvColumns, labelText, select);
+            csvColumnSelects[role] = select;
+        });
+        
+        // A file with a die number column but no positions is keyed by number
+        const hasPosition = csvColumnSelects.x.value !== '-1' && csvColumnSelects.y.value !== '-1';
+        elements.csvKey.value = !hasPosition && csvColumnSelects.number.value !== '-1' ? 'number' : 'position';
+        
+        elements.csvValueColumns.innerHTML = '';
+        header.forEach((name, index) => {
+            const isNumeric = pendingCsv.rows.slice(0, 20).some(row =>
+                row.cells[index] !== undefined && row.cells[index] !== '' &&
+                Number.isFinite(Number(row.cells[index].replace(',', '.'))));
+            
+            const group = document.createElement('div');
+            group.className = 'checkbox-group';
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = `csv-value-${index}`;
+            checkbox.value = String(index);
+            checkbox.checked = isNumeric && !assigned.has(index);
+            
+            const label = document.createElement('label');
+            label.htmlFor = checkbox.id;
+            label.textContent = name || `Column ${index + 1}`;
+            
+            group.appendChild(checkbox);
+            group.appendChild(label);
+            elements.csvValueColumns.appendChild(group);
+        });
+        
+        updateCsvKeyFields();
+    }
+    
+    /**
+     * Show the position or die number columns, whichever the rows are matched by
+     */
+    function updateCsvKeyFields() {
+        const byNumber = elements.csvKey.value === 'number';
+        
+        csvColumnSelects.x.parentElement.hidden = byNumber;
+        csvColumnSelects.y.parentElement.hidden = byNumber;
+        elements.csvYUpGroup.hidden = byNumber;
+        csvColumnSelects.number.parentElement.hidden = !byNumber;
+    }
+    
+    /**
+     * Import the pending table with the chosen columns and report what could not be mapped
+     */
+    function handleCsvImport() {
+        const column = role => parseInt(csvColumnSelects[role].value, 10);
+        const mapping = {
+            key: elements.csvKey.value,
+            x: column('x'),
+            y: column('y'),
+            yUp: elements.csvYUp.checked,
+            number: column('number'),
+            bin: column('bin'),
+            label: column('label'),
+            color: column('color'),
+            values: [...elements.csvValueColumns.querySelectorAll('input:checked')]
+                .map(checkbox => parseInt(checkbox.value, 10))
+                .filter(index => !CSV_COLUMN_ROLES.some(([role]) => column(role) === index))
+        };
+        
+        if (mapping.key === 'position' && (mapping.x < 0 || mapping.y < 0)) {
+            alert('Choose the X and Y columns to match rows by position.');
+            return;
+        }
+        if (mapping.key === 'number' && mapping.number < 0) {
+            alert('Choose the die number column to match rows by number.');
+            return;
+        }
+        
+        const report = ExportTools.importFromCsv(pendingCsv, mapping);
+        elements.csvReport.textContent = formatCsvReport(report);
+        
+        pendingCsv = null;
+        elements.csvDialog.hidden = true;
+    }
+    
+    /**
+     * Describe the outcome of a CSV import
+     * @param {Object} report - Report from ExportTools.importFromCsv
+     * @returns {string} One line per finding, listing at most ten rows or dies each
+     */
+    function formatCsvReport(report) {
+        const list = items => items.slice(0, 10).join(', ') + (items.length > 10 ? `, … ${items.length - 10} more` : '');
+        const imported = report.rows - report.unmatched.length;
+        const lines = [`CSV: ${imported} of ${report.rows} rows imported into ${report.updatedDies} dies.`];
+        
+        if (report.unmatched.length > 0) {
+            lines.push(`Rows skipped (${report.unmatched.length}): ` +
+                list(report.unmatched.map(row => `line ${row.line} (${row.reason})`)));
+        }
+        if (report.duplicates.length > 0) {
+            lines.push(`Dies hit by several rows, last row kept (${report.duplicates.length}): ` +
+                list(report.duplicates.map(hit => `die ${hit.id} (lines ${hit.lines.join(', ')})`)));
+        }
+        if (report.addedBins.length > 0) {
+            lines.push(`New bins: ${report.addedBins.join(', ')}`);
+        }
+        
+        return lines.join('\n');
+    }
+    
     // Public methods
     return {
         /**
@@ -194,24 +1747,132 @@ const Controls = (function() {
         bindEventListeners: function() {
             // Wafer parameters
             elements.waferName.addEventListener('input', handleWaferParamsChange);
+            elements.waferShape.addEventListener('change', handleWaferParamsChange);
+            elements.pieceAngle.addEventListener('change', handleWaferParamsChange);
+            elements.substrateWidth.addEventListener('change', handleWaferParamsChange);
+            elements.substrateHeight.addEventListener('change', handleWaferParamsChange);
+            elements.substrateChamfer.addEventListener('change', handleWaferParamsChange);
             elements.waferDiameter.addEventListener('change', handleWaferParamsChange);
+            elements.waferType.addEventListener('change', handleWaferParamsChange);
+            elements.waferOrientation.addEventListener('change', handleWaferParamsChange);
             elements.flatAngle.addEventListener('change', handleWaferParamsChange);
+            elements.flatLength.addEventListener('change', handleWaferParamsChange);
+            elements.flatPreset.addEventListener('change', handleFlatPresetChange);
+            elements.secondaryFlatAngle.addEventListener('change', handleWaferParamsChange);
+            elements.secondaryFlatLength.addEventListener('change', handleWaferParamsChange);
+            elements.secondaryFlatOffset.addEventListener('change', handleWaferParamsChange);
             elements.excludedRadius.addEventListener('change', handleWaferParamsChange);
             
             // Chip parameters
             elements.chipWidth.addEventListener('change', handleChipParamsChange);
             elements.chipHeight.addEventListener('change', handleChipParamsChange);
+            elements.streetX.addEventListener('change', handleChipParamsChange);
+            elements.streetY.addEventListener('change', handleChipParamsChange);
+            elements.offsetX.addEventListener('change', handleChipParamsChange);
+            elements.offsetY.addEventListener('change', handleChipParamsChange);
+            elements.optimizeGrid.addEventListener('click', handleOptimizeGrid);
+            
+            // Keep-out zones
+            elements.addKeepOutRect.addEventListener('click', () => handleAddKeepOutZone('rect'));
+            elements.addKeepOutCircle.addEventListener('click', () => handleAddKeepOutZone('circle'));
+            elements.addKeepOutPolygon.addEventListener('click', () => handleAddKeepOutZone('polygon'));
+            
+            // Multi-project die types and blocks
+            elements.addDieType.addEventListener('click', handleAddDieType);
+            elements.addDieBlock.addEventListener('click', handleAddDieBlock);
+            
+            // Reticle
+            elements.reticleDiesX.addEventListener('change', handleReticleParamsChange);
+            elements.reticleDiesY.addEventListener('change', handleReticleParamsChange);
+            elements.reticleOffsetX.addEventListener('change', handleReticleParamsChange);
+            elements.reticleOffsetY.addEventListener('change', handleReticleParamsChange);
+            elements.showFields.addEventListener('change', handleShowFieldsChange);
+            
+            // Die numbering
+            elements.numberingScheme.addEventListener('change', handleNumberingParamsChange);
+            elements.numberingStart.addEventListener('change', handleNumberingParamsChange);
+            elements.numberingSkipPartial.addEventListener('change', handleNumberingParamsChange);
+            
+            // Die coordinates
+            elements.coordOrigin.addEventListener('change', handleCoordParamsChange);
+            elements.coordCorner.addEventListener('change', handleCoordParamsChange);
+            elements.coordReferenceX.addEventListener('change', handleCoordParamsChange);
+            elements.coordReferenceY.addEventListener('change', handleCoordParamsChange);
+            elements.coordXDirection.addEventListener('change', handleCoordParamsChange);
+            elements.coordYDirection.addEventListener('change', handleCoordParamsChange);
+            elements.showCoordinates.addEventListener('change', handleShowCoordinatesChange);
             
             // Labeling
-            elements.chipColor.addEventListener('change', handleLabelParamsChange);
-            elements.chipLabel.addEventListener('input', handleLabelParamsChange);
-            elements.labelFontSize.addEventListener('input', handleFontSizeChange);
+            elements.addBin.addEventListener('click', handleAddBin);
+            elements.eraseBin.addEventListener('click', () => handleSelectBin(null));
+            elements.showLegend.addEventListener('change', handleLegendParamsChange);
+            elements.legendPosition.addEventListener('change', handleLegendParamsChange);
+            elements.paintTarget.addEventListener('change', handleLabelParamsChange);
+            elements.paintProduct.addEventListener('change', handleLabelParamsChange);
+            elements.labelFontSize.addEventListener('input', handleFontSizeInput);
+            elements.labelFontSize.addEventListener('change', handleFontSizeChange);
             
             // Export
             elements.exportPng.addEventListener('click', handleExportPng);
             elements.exportSvg.addEventListener('click', handleExportSvg);
             elements.exportJson.addEventListener('click', handleExportJson);
             elements.importJson.addEventListener('change', handleImportJson);
+            elements.importCsv.addEventListener('change', handleImportCsv);
+            
+            // Die list
+            elements.dieListFormat.addEventListener('change', handleDieListParamsChange);
+            elements.dieListMetadata.addEventListener('change', handleDieListParamsChange);
+            elements.exportDieList.addEventListener('click', () => ExportTools.exportDieList());
+            
+            // ASCII map
+            elements.asciiRotation.addEventListener('change', handleAsciiMapParamsChange);
+            elements.asciiEmptyChar.addEventListener('change', handleAsciiMapParamsChange);
+            elements.asciiUntestedChar.addEventListener('change', handleAsciiMapParamsChange);
+            elements.exportAsciiMap.addEventListener('click', () => ExportTools.exportAsciiMap());
+            elements.importAsciiMap.addEventListener('change', handleImportAsciiMap);
+            
+            // SEMI E142
+            elements.exportE142.addEventListener('click', () => ExportTools.exportToE142());
+            elements.importE142.addEventListener('change', handleImportE142);
+            
+            // CSV column mapping
+            elements.csvKey.addEventListener('change', updateCsvKeyFields);
+            elements.csvImport.addEventListener('click', handleCsvImport);
+            elements.csvCancel.addEventListener('click', () => {
+                pendingCsv = null;
+                elements.csvDialog.hidden = true;
+            });
+            
+            // Undo/redo
+            elements.undoButton.addEventListener('click', () => WaferMapping.undo());
+            elements.redoButton.addEventListener('click', () => WaferMapping.redo());
+            document.addEventListener('keydown', handleHistoryKeys);
+            
+            // Selection tools
+            elements.toolMode.addEventListener('change', () => ChipInteraction.setToolMode(elements.toolMode.value));
+            elements.paintSelection.addEventListener('click', () => ChipInteraction.paintSelection());
+            elements.clearSelectionBins.addEventListener('click', () => ChipInteraction.clearSelectionBins());
+            elements.copySelection.addEventListener('click', () => ChipInteraction.copySelection());
+            document.addEventListener('keydown', handleSelectionKeys);
+            
+            // Die inspector
+            elements.chipNote.addEventListener('input', handleNoteInput);
+            elements.chipNote.addEventListener('change', handleNoteChange);
+            elements.closeInspector.addEventListener('click', () => Controls.inspectChip(null));
+            elements.addValue.addEventListener('click', handleAddValue);
+            
+            // Heatmap
+            elements.heatmapParameter.addEventListener('change', handleHeatmapParamsChange);
+            elements.heatmapScale.addEventListener('change', handleHeatmapParamsChange);
+            elements.heatmapSteps.addEventListener('change', handleHeatmapParamsChange);
+            elements.heatmapPalette.addEventListener('change', handleHeatmapParamsChange);
+            elements.heatmapAutoRange.addEventListener('change', handleHeatmapParamsChange);
+            elements.heatmapMin.addEventListener('change', handleHeatmapParamsChange);
+            elements.heatmapMax.addEventListener('change', handleHeatmapParamsChange);
+            
+            // Zoom
+            elements.fitToWafer.addEventListener('click', () => ChipInteraction.fitToWafer());
+            elements.zoomToSelection.addEventListener('click', () => ChipInteraction.zoomToSelection());
             
             return this;
         },
@@ -222,23 +1883,227 @@ const Controls = (function() {
         updateControlsFromState: function() {
             const waferParams = WaferState.getWaferParams();
             const chipParams = WaferState.getChipParams();
+            const reticleParams = WaferState.getReticleParams();
+            const numberingParams = WaferState.getNumberingParams();
+            const coordParams = WaferState.getCoordParams();
             const labelParams = WaferState.getLabelParams();
             
             // Wafer parameters
             elements.waferName.value = waferParams.name || '';
+            elements.waferShape.value = waferParams.shape;
+            elements.pieceAngle.value = waferParams.pieceAngle;
+            elements.substrateWidth.value = waferParams.substrateWidth;
+            elements.substrateHeight.value = waferParams.substrateHeight;
+            elements.substrateChamfer.value = waferParams.chamfer;
             elements.waferDiameter.value = waferParams.diameter;
-            elements.flatAngle.value = waferParams.flatAngle;
+            elements.waferType.value = waferParams.waferType;
+            elements.waferOrientation.value = waferParams.orientation;
+            elements.flatPreset.value = waferParams.flatPreset;
+            elements.secondaryFlatOffset.value = waferParams.secondaryFlatOffset;
+            updateFlatSizeControls();
+            updateShapeControlsEnabled(waferParams.shape);
+            updateFlatControlsEnabled(waferParams.waferType, waferParams.shape);
             elements.excludedRadius.value = waferParams.excludedRadius;
             
             // Chip parameters
             elements.chipWidth.value = chipParams.width;
             elements.chipHeight.value = chipParams.height;
+            elements.streetX.value = chipParams.streetX;
+            elements.streetY.value = chipParams.streetY;
+            elements.offsetX.value = chipParams.offsetX;
+            elements.offsetY.value = chipParams.offsetY;
             elements.labelFontSize.value = chipParams.labelFontSize || 0.18;
             elements.fontSizeValue.textContent = Math.round((chipParams.labelFontSize || 0.18) * 100) + '%';
             
+            // Keep-out zones
+            renderKeepOutList();
+            
+            // Multi-project die types and blocks (also refreshes the paint product filter)
+            renderProductLists();
+            
+            // Reticle
+            elements.reticleDiesX.value = reticleParams.diesX;
+            elements.reticleDiesY.value = reticleParams.diesY;
+            elements.reticleOffsetX.value = reticleParams.offsetX;
+            elements.reticleOffsetY.value = reticleParams.offsetY;
+            elements.showFields.checked = reticleParams.showFields;
+            
+            // Die numbering
+            elements.numberingScheme.value = numberingParams.scheme;
+            elements.numberingStart.value = numberingParams.startCorner;
+            elements.numberingSkipPartial.checked = numberingParams.skipPartial;
+            
+            // Die coordinates
+            elements.coordOrigin.value = coordParams.origin;
+            elements.coordCorner.value = coordParams.corner;
+            elements.coordReferenceX.value = coordParams.referenceX;
+            elements.coordReferenceY.value = coordParams.referenceY;
+            elements.coordXDirection.value = coordParams.xDirection;
+            elements.coordYDirection.value = coordParams.yDirection;
+            elements.showCoordinates.checked = coordParams.showCoordinates;
+            updateCoordControlsEnabled(coordParams.origin);
+            
             // Labeling
-            elements.chipColor.value = labelParams.color;
-            elements.chipLabel.value = labelParams.label;
+            renderBinList();
+            
+            // Legend
+            const legendParams = WaferState.getLegendParams();
+            elements.showLegend.checked = legendParams.show;
+            elements.legendPosition.value = legendParams.position;
+            elements.paintTarget.value = labelParams.paintTarget;
+            
+            // Heatmap
+            renderHeatmapControls();
+            
+            // Die list export
+            renderDieListColumns();
+            
+            // ASCII map
+            const asciiMapParams = WaferState.getAsciiMapParams();
+            elements.asciiRotation.value = String(asciiMapParams.rotation);
+            elements.asciiEmptyChar.value = asciiMapParams.emptyChar;
+            elements.asciiUntestedChar.value = asciiMapParams.untestedChar;
+            elements.asciiEmptyChar.classList.remove('invalid');
+            elements.asciiUntestedChar.classList.remove('invalid');
+            
+            return this;
+        },
+        
+        /**
+         * Show how many full and partial dies the map holds
+         * @param {Array} chips - Array of chip objects
+         */
+        updateDieCountReport: function(chips) {
+            const fullCount = chips.filter(chip => chip.status === 'full').length;
+            const partialCount = chips.filter(chip => chip.status === 'partial').length;
+            const excludedCount = chips.filter(chip => chip.status === 'excluded').length;
+            
+            elements.dieCountReport.textContent =
+                `Dies: ${fullCount} full, ${partialCount} partial, ${excludedCount} in keep-out zones`;
+            
+            return this;
+        },
+        
+        /**
+         * Enable the undo and redo buttons when there is a step to take
+         */
+        updateHistoryButtons: function() {
+            elements.undoButton.disabled = !WaferState.canUndo();
+            elements.redoButton.disabled = !WaferState.canRedo();
+            
+            return this;
+        },
+        
+        /**
+         * Show the details of a die next to the pointer
+         * @param {number} chipId - ID of the chip under the pointer
+         * @param {number} clientX - Horizontal pointer position in client pixels
+         * @param {number} clientY - Vertical pointer position in client pixels
+         */
+        showChipTooltip: function(chipId, clientX, clientY) {
+            const chip = WaferState.getChipById(chipId);
+            if (!chip) return this.hideChipTooltip();
+            
+            const lines = getChipDetails(chip).map(([name, value]) =>
+                `${name}: ${value !== null && typeof value === 'object' ? value.text : value}`);
+            Object.keys(chip.values).sort().forEach(name => lines.push(`${name}: ${chip.values[name]}`));
+            if (chip.note) lines.push(`Note: ${chip.note}`);
+            
+            elements.chipTooltip.textContent = lines.join('\n');
+            elements.chipTooltip.style.left = `${clientX + 14}px`;
+            elements.chipTooltip.style.top = `${clientY + 14}px`;
+            elements.chipTooltip.hidden = false;
+            
+            return this;
+        },
+        
+        /**
+         * Hide the die tooltip
+         */
+        hideChipTooltip: function() {
+            elements.chipTooltip.hidden = true;
+            return this;
+        },
+        
+        /**
+         * Open the inspector on a die
+         * @param {number|null} chipId - ID of the chip to inspect, or null to close the inspector
+         */
+        inspectChip: function(chipId) {
+            // Keep a note typed into the previous die
+            if (document.activeElement === elements.chipNote) elements.chipNote.blur();
+            
+            inspectedChipId = chipId;
+            renderInspector();
+            
+            return this;
+        },
+        
+        /**
+         * Refresh the inspector after the map changed
+         */
+        updateInspector: function() {
+            renderInspector();
+            return this;
+        },
+        
+        /**
+         * Enable the selection actions and show how many dies are selected
+         */
+        updateSelectionControls: function() {
+            const count = WaferState.getSelection().length;
+            
+            elements.paintSelection.disabled = count === 0;
+            elements.clearSelectionBins.disabled = count === 0;
+            elements.copySelection.disabled = count === 0;
+            elements.zoomToSelection.disabled = count === 0;
+            elements.selectionCount.textContent = count > 0 ? `${count} selected` : '';
+            
+            return this;
+        },
+        
+        /**
+         * Show the gross die count, the dies per bin and the yield
+         */
+        updateBinStatistics: function() {
+            const summary = WaferState.getSummary();
+            elements.binStatistics.innerHTML = '';
+            
+            const table = document.createElement('table');
+            table.className = 'stats-table';
+            
+            const addRow = (cells, className) => {
+                const row = document.createElement('tr');
+                if (className) row.className = className;
+                cells.forEach(cell => {
+                    const td = document.createElement('td');
+                    if (cell instanceof Node) {
+                        td.appendChild(cell);
+                    } else {
+                        td.textContent = cell;
+                    }
+                    row.appendChild(td);
+                });
+                table.appendChild(row);
+            };
+            
+            summary.bins.forEach(bin => {
+                const swatch = document.createElement('span');
+                swatch.className = 'stats-swatch';
+                swatch.style.backgroundColor = bin.color;
+                addRow([swatch, `${bin.code} ${bin.name}${bin.pass ? ' (pass)' : ''}`, bin.count, `${bin.percent}%`]);
+            });
+            
+            addRow(['', 'Unbinned', summary.unbinnedDies, `${summary.unbinnedPercent}%`]);
+            addRow(['', 'Gross dies', summary.grossDies, ''], 'stats-total');
+            elements.binStatistics.appendChild(table);
+            
+            const yieldReport = document.createElement('output');
+            yieldReport.className = 'report';
+            yieldReport.textContent = summary.yield !== null ?
+                `Yield: ${summary.yield}% (${summary.passDies} pass of ${summary.binnedDies} binned dies)` :
+                'Yield: mark a bin as pass and paint dies to compute';
+            elements.binStatistics.appendChild(yieldReport);
             
             return this;
         }
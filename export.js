@@ -12,13 +12,16 @@ const ExportTools = (function() {
     function svgToPng(svgElement, callback) {
         // Create a clone of the SVG element
         const svgClone = svgElement.cloneNode(true);
+        removeSelectionMarks(svgClone);
         
-        // Preserve the viewBox attribute
-        const viewBox = svgElement.getAttribute('viewBox');
+        // Export the whole map, not the zoomed part on screen
+        const viewBox = SvgRenderer.getFitViewBox();
         
         // Make sure clone has the same dimensions and viewBox
+        // The height follows the viewBox, which is wider or taller when a legend is shown
+        const aspectRatio = getAspectRatio(viewBox);
         svgClone.setAttribute('width', '800px');
-        svgClone.setAttribute('height', '800px');
+        svgClone.setAttribute('height', `${800 * aspectRatio}px`);
         svgClone.setAttribute('viewBox', viewBox);
         
         // Create a background rectangle
@@ -41,7 +44,7 @@ const ExportTools = (function() {
         
         // Set canvas dimensions
         canvas.width = 1600;  // Fixed size for consistency
-        canvas.height = 1600;
+        canvas.height = Math.round(1600 * aspectRatio);
         
         // Create an image from the SVG
         const img = new Image();
@@ -67,6 +70,24 @@ const ExportTools = (function() {
         img.src = url;
     }
     
+    /**
+     * Remove the selection highlight and any half-drawn selection band from an exported copy
+     * @param {SVGElement} svgClone - Cloned SVG element
+     */
+    function removeSelectionMarks(svgClone) {
+        svgClone.querySelectorAll('.selection-outline, .selection-band').forEach(mark => mark.remove());
+    }
+    
+    /**
+     * Get the height to width ratio of a viewBox
+     * @param {string} viewBox - viewBox attribute value
+     * @returns {number} Height divided by width
+     */
+    function getAspectRatio(viewBox) {
+        const [, , width, height] = viewBox.split(' ').map(parseFloat);
+        return width > 0 ? height / width : 1;
+    }
+    
     /**
      * Trigger download of a file
      * @param {string} content - File content
@@ -85,6 +106,338 @@ const ExportTools = (function() {
         URL.revokeObjectURL(url);
     }
     
+    /**
+     * Split delimited text into records, honoring double-quoted cells
+     * @param {string} text - File content
+     * @param {string} delimiter - Cell separator
+     * @returns {Array} Records {line, cells} with the line each record starts on, blank lines left out
+     */
+    function parseDelimited(text, delimiter) {
+        const records = [];
+        let cells = [];
+        let cell = '';
+        let quoted = false;
+        let line = 1;
+        let recordLine = 1;
+        
+        const endRecord = () => {
+            cells.push(cell);
+            if (cells.some(value => value.trim() !== '')) {
+                records.push({ line: recordLine, cells: cells.map(value => value.trim()) });
+            }
+            cells = [];
+            cell = '';
+        };
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    if (char === '\n') line++;
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                cells.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                endRecord();
+                line++;
+                recordLine = line;
+            } else {
+                cell += char;
+            }
+        }
+        
+        endRecord();
+        return records;
+    }
+    
+    /**
+     * Read a number from a table cell
+     * Files separated by semicolons or tabs may use a decimal comma.
+     * @param {string} text - Cell text
+     * @param {string} delimiter - Cell separator of the file
+     * @returns {number} The number, or NaN if the cell holds none
+     */
+    function parseCellNumber(text, delimiter) {
+        if (text === undefined || text === '') return NaN;
+        return Number(delimiter === ',' ? text : text.replace(',', '.'));
+    }
+    
+    /**
+     * Index dies by position for findChipAtPosition
+     * Dies are filed in square cells the size of the largest die, so a position is only checked
+     * against the few dies that reach into its cell.
+     * @param {Array} chips - Chips on the map
+     * @returns {Object} Index {size, cells}, cells mapping "i,j" to the dies in that cell
+     */
+    function indexChipPositions(chips) {
+        const size = chips.reduce((largest, chip) => Math.max(largest, chip.width, chip.height), 0) || 1;
+        const cells = new Map();
+        
+        chips.forEach(chip => {
+            // Reach a little before the corner, which matches within 0.1 mm
+            for (let i = Math.floor((chip.x - 0.1) / size); i <= Math.floor((chip.x + chip.width) / size); i++) {
+                for (let j = Math.floor((chip.y - 0.1) / size); j <= Math.floor((chip.y + chip.height) / size); j++) {
+                    const key = `${i},${j}`;
+                    if (!cells.has(key)) cells.set(key, []);
+                    cells.get(key).push(chip);
+                }
+            }
+        });
+        
+        return { size, cells };
+    }
+    
+    /**
+     * Find the die on the map at a position
+     * A position on a die's saved corner matches it the way WaferState.load does; any other position
+     * matches the die it falls on, so center coordinates work too.
+     * @param {Object} index - Dies on the map, from indexChipPositions
+     * @param {number} x - X in wafer mm
+     * @param {number} y - Y in wafer mm
+     * @returns {Object|null} Matching chip or null
+     */
+    function findChipAtPosition(index, x, y) {
+        const chips = index.cells.get(`${Math.floor(x / index.size)},${Math.floor(y / index.size)}`) || [];
+        return chips.find(chip => Math.abs(chip.x - x) < 0.1 && Math.abs(chip.y - y) < 0.1) ||
+            chips.find(chip => x >= chip.x && x < chip.x + chip.width && y >= chip.y && y < chip.y + chip.height) ||
+            null;
+    }
+    
+    // Columns of the die list export, with their default choice
+    const DIE_LIST_COLUMNS = [
+        { id: 'id', title: 'ID', enabled: true, value: chip => chip.id },
+        { id: 'number', title: 'Number', enabled: true, value: chip => chip.number },
+        { id: 'col', title: 'Col', enabled: true, value: chip => Number.isInteger(chip.col) ? chip.col : null },
+        { id: 'row', title: 'Row', enabled: true, value: chip => Number.isInteger(chip.row) ? chip.row : null },
+        { id: 'x', title: 'X (mm)', enabled: true, value: chip => roundMm(chip.x + chip.width / 2) },
+        { id: 'y', title: 'Y (mm)', enabled: true, value: chip => roundMm(chip.y + chip.height / 2) },
+        { id: 'width', title: 'Width (mm)', enabled: true, value: chip => roundMm(chip.width) },
+        { id: 'height', title: 'Height (mm)', enabled: true, value: chip => roundMm(chip.height) },
+        { id: 'status', title: 'Status', enabled: true, value: chip => chip.status },
+        { id: 'inside', title: 'Inside', enabled: true, value: chip => chip.inside ? 1 : 0 },
+        { id: 'product', title: 'Product', enabled: false, value: chip => chip.product },
+        { id: 'shot', title: 'Shot', enabled: false, value: chip => chip.shotId },
+        { id: 'bin', title: 'Bin', enabled: true, value: (chip, bin) => bin ? bin.code : null },
+        { id: 'label', title: 'Label', enabled: true, value: (chip, bin) => bin ? bin.name : null },
+        { id: 'color', title: 'Color', enabled: true, value: (chip, bin) => bin ? bin.color : null },
+        { id: 'pass', title: 'Pass', enabled: false, value: (chip, bin) => bin ? (bin.pass ? 1 : 0) : null },
+        { id: 'note', title: 'Note', enabled: true, value: chip => chip.note }
+    ];
+    
+    /**
+     * Round a length in mm for the die list
+     * @param {number} value - Length in mm
+     * @returns {number} Length rounded to 0.1 µm
+     */
+    function roundMm(value) {
+        return Math.round(value * 10000) / 10000;
+    }
+    
+    /**
+     * Get every column the die list can hold, measurements included
+     * @returns {Array} Column definitions {id, title, enabled, value}
+     */
+    function getAvailableDieListColumns() {
+        const measurementColumns = WaferState.getParameterNames().map(name => ({
+            id: `value:${name}`,
+            title: name,
+            enabled: true,
+            value: chip => chip.values[name]
+        }));
+        
+        return [...DIE_LIST_COLUMNS, ...measurementColumns];
+    }
+    
+    /**
+     * Get the die list columns in the chosen order
+     * Columns that were never arranged, such as new measurements, follow in their default order.
+     * @returns {Array} Column definitions {id, title, enabled, value}
+     */
+    function getOrderedDieListColumns() {
+        const available = new Map(getAvailableDieListColumns().map(column => [column.id, column]));
+        const ordered = [];
+        
+        WaferState.getDieListParams().columns.forEach(choice => {
+            const column = available.get(choice.id);
+            if (!column) return;
+            
+            ordered.push({ ...column, enabled: choice.enabled });
+            available.delete(choice.id);
+        });
+        
+        return [...ordered, ...available.values()];
+    }
+    
+    /**
+     * Quote a die list cell when it holds the separator, a quote or a line break
+     * @param {*} value - Cell value; null and undefined give an empty cell
+     * @param {string} delimiter - Cell separator
+     * @returns {string} Cell text
+     */
+    function formatDelimitedCell(value, delimiter) {
+        if (value === null || value === undefined) return '';
+        
+        const text = String(value);
+        if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+    
+    /**
+     * Describe the wafer in the '#' lines that can start the die list
+     * @returns {Array} Metadata lines
+     */
+    function getDieListMetadata() {
+        const waferParams = WaferState.getWaferParams();
+        const chipParams = WaferState.getChipParams();
+        const summary = WaferState.getSummary();
+        
+        const substrate = waferParams.shape === 'square' || waferParams.shape === 'rectangle' ?
+            `${waferParams.shape} ${waferParams.substrateWidth} x ${waferParams.substrateHeight} mm` :
+            `${waferParams.shape} ${waferParams.diameter} mm`;
+        
+        const lines = [
+            `# Wafer: ${waferParams.name || '(unnamed)'}`,
+            `# Exported: ${new Date().toISOString()}`,
+            `# Substrate: ${substrate}`,
+            `# Die size (mm): ${chipParams.width} x ${chipParams.height}`,
+            `# Pitch (mm): ${chipParams.pitchX} x ${chipParams.pitchY}`,
+            `# Gross dies: ${summary.grossDies}`
+        ];
+        
+        if (summary.yield !== null) lines.push(`# Yield (%): ${summary.yield}`);
+        lines.push('# Positions: die centers in mm from the wafer center, X to the right, Y down');
+        
+        return lines;
+    }
+    
+    // Characters of bin codes 0 to 61 in ASCII maps, for bins without a symbol of their own
+    const BIN_SYMBOLS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+    
+    /**
+     * Get the character of a bin in ASCII maps
+     * @param {Object} bin - Bin {code, symbol}
+     * @returns {string} The bin's own symbol, else the character of its code, else '?'
+     */
+    function getBinSymbol(bin) {
+        return bin.symbol || BIN_SYMBOLS[bin.code] || '?';
+    }
+    
+    /**
+     * Lay out the dies of the main grid as they are drawn, cropped to the dies on the map
+     * Block dies are not on the grid and are left out.
+     * @returns {Array} Rows of cells, top row first, holding the chip or null where the map has no die
+     */
+    function getMapGrid() {
+        const chipParams = WaferState.getChipParams();
+        const gridChips = WaferState.getAllChips()
+            .filter(chip => isChipOnMap(chip) && Number.isInteger(chip.col) && Number.isInteger(chip.row));
+        if (gridChips.length === 0) return [];
+        
+        // Whole maps are walked rather than spread into Math.min
+        let minX = Infinity, minY = Infinity;
+        gridChips.forEach(chip => {
+            minX = Math.min(minX, chip.x);
+            minY = Math.min(minY, chip.y);
+        });
+        const cellOf = chip => ({
+            col: Math.round((chip.x - minX) / chipParams.pitchX),
+            row: Math.round((chip.y - minY) / chipParams.pitchY)
+        });
+        
+        const cells = gridChips.map(cellOf);
+        let cols = 0, rows = 0;
+        cells.forEach(cell => {
+            cols = Math.max(cols, cell.col + 1);
+            rows = Math.max(rows, cell.row + 1);
+        });
+        
+        const grid = Array.from({ length: rows }, () => new Array(cols).fill(null));
+        gridChips.forEach((chip, index) => {
+            grid[cells[index].row][cells[index].col] = chip;
+        });
+        
+        return grid;
+    }
+    
+    /**
+     * Turn a grid clockwise in quarter turns
+     * @param {Array} grid - Rows of cells, all of the same length
+     * @param {number} turns - Number of clockwise quarter turns; negative turns go counterclockwise
+     * @returns {Array} Turned grid
+     */
+    function rotateGrid(grid, turns) {
+        let result = grid;
+        
+        for (let turn = 0; turn < ((turns % 4) + 4) % 4; turn++) {
+            const previous = result;
+            const rows = previous.length;
+            const cols = rows > 0 ? previous[0].length : 0;
+            
+            // The left column, read from the bottom up, becomes the top row
+            result = Array.from({ length: cols }, (_, row) =>
+                Array.from({ length: rows }, (_, col) => previous[rows - 1 - col][row]));
+        }
+        
+        return result;
+    }
+    
+    // Namespace of SEMI E142 substrate maps
+    const E142_NAMESPACE = 'urn:semi-org:xsd.E142-1.V1005.SubstrateMap';
+    
+    /**
+     * Escape text for an XML attribute or element
+     * @param {*} value - Text
+     * @returns {string} Escaped text
+     */
+    function escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+    
+    /**
+     * Find the XML elements of a name below an element, whatever their namespace
+     * @param {Element|Document} parent - Element to search
+     * @param {string} name - Local element name
+     * @returns {Array} Matching elements in document order
+     */
+    function findXmlElements(parent, name) {
+        return [...parent.getElementsByTagNameNS('*', name)];
+    }
+    
+    /**
+     * Read the X or Y value of an E142 layout element, such as <DeviceSize X="10" Y="12"/>
+     * Elements written per axis, <DeviceSize Axis="0" Value="10"/>, are read as well.
+     * @param {Element} layout - Layout element
+     * @param {string} name - Element name
+     * @param {string} axis - 'X' or 'Y'
+     * @returns {number} Value, or NaN if the layout doesn't give it
+     */
+    function getLayoutValue(layout, name, axis) {
+        const elements = [...layout.children].filter(child => child.localName === name);
+        
+        const element = elements.find(child => child.hasAttribute(axis));
+        if (element) return parseFloat(element.getAttribute(axis));
+        
+        const axisElement = elements.find(child => child.getAttribute('Axis') === (axis === 'X' ? '0' : '1'));
+        return axisElement ? parseFloat(axisElement.getAttribute('Value')) : NaN;
+    }
+    
     // Public methods
     return {
         /**
@@ -109,13 +462,14 @@ const ExportTools = (function() {
             
             // Create a clone of the SVG element
             const svgClone = svgElement.cloneNode(true);
+            removeSelectionMarks(svgClone);
             
-            // Preserve the viewBox attribute
-            const viewBox = svgElement.getAttribute('viewBox');
+            // Export the whole map, not the zoomed part on screen
+            const viewBox = SvgRenderer.getFitViewBox();
             
             // Make sure clone has the same dimensions and viewBox
             svgClone.setAttribute('width', '800px');
-            svgClone.setAttribute('height', '800px');
+            svgClone.setAttribute('height', `${800 * getAspectRatio(viewBox)}px`);
             svgClone.setAttribute('viewBox', viewBox);
             svgClone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
             
@@ -152,9 +506,11 @@ const ExportTools = (function() {
             if (state.chips) {
                 state.chips = state.chips.map(chip => {
                     const cleanChip = {};
-                    // Copy non-null properties only
+                    // Copy non-null properties, and notes and measurements only where there are any
                     Object.keys(chip).forEach(key => {
-                        if (chip[key] !== null) {
+                        const isEmpty = (key === 'note' && chip[key] === '') ||
+                            (key === 'values' && Object.keys(chip[key]).length === 0);
+                        if (chip[key] !== null && !isEmpty) {
                             cleanChip[key] = chip[key];
                         }
                     });
@@ -162,12 +518,244 @@ const ExportTools = (function() {
                 });
             }
             
+            // Add the die counts per bin and the yield
+            state.summary = WaferState.getSummary();
+            
             // Convert back to JSON
             const json = JSON.stringify(state, null, 2);
             
             downloadFile(json, 'wafer_map.json', 'application/json');
         },
         
+        /**
+         * Get the die list columns in export order
+         * @returns {Array} Columns {id, title, enabled}
+         */
+        getDieListColumns: function() {
+            return getOrderedDieListColumns().map(({ id, title, enabled }) => ({ id, title, enabled }));
+        },
+        
+        /**
+         * Build the die list, one row per die on the map, ordered by die number or else by position
+         * @returns {string} CSV or TSV text
+         */
+        buildDieList: function() {
+            const params = WaferState.getDieListParams();
+            const delimiter = params.delimiter;
+            const columns = getOrderedDieListColumns().filter(column => column.enabled);
+            
+            const chips = WaferState.getAllChips()
+                .filter(isChipOnMap)
+                .sort((a, b) => {
+                    if (a.number !== null && b.number !== null) return a.number - b.number;
+                    if (a.number !== null || b.number !== null) return a.number !== null ? -1 : 1;
+                    return a.y - b.y || a.x - b.x;
+                });
+            
+            const lines = params.includeMetadata ? getDieListMetadata() : [];
+            lines.push(columns.map(column => formatDelimitedCell(column.title, delimiter)).join(delimiter));
+            
+            chips.forEach(chip => {
+                const bin = WaferState.getBin(chip.bin);
+                lines.push(columns.map(column => formatDelimitedCell(column.value(chip, bin), delimiter)).join(delimiter));
+            });
+            
+            return lines.join('\r\n') + '\r\n';
+        },
+        
+        /**
+         * Export the die list as CSV or TSV
+         */
+        exportDieList: function() {
+            const isTsv = WaferState.getDieListParams().delimiter === '\t';
+            
+            downloadFile(
+                this.buildDieList(),
+                isTsv ? 'wafer_map.tsv' : 'wafer_map.csv',
+                isTsv ? 'text/tab-separated-values' : 'text/csv'
+            );
+        },
+        
+        /**
+         * Get the character of a bin in ASCII maps
+         * @param {Object} bin - Bin {code, symbol}
+         * @returns {string} Bin character
+         */
+        getBinSymbol: function(bin) {
+            return getBinSymbol(bin);
+        },
+        
+        /**
+         * Build the ASCII map of the die grid, one character per die
+         * Dies of a bin without a symbol of its own are written as '?' and reported.
+         * @returns {Object} {text, unknownDies}: text grid, and IDs of the dies written as '?'
+         */
+        buildAsciiMap: function() {
+            const params = WaferState.getAsciiMapParams();
+            const symbols = new Map(WaferState.getBins()
+                .filter(bin => bin.symbol || getBinSymbol(bin) !== '?')
+                .map(bin => [bin.code, getBinSymbol(bin)]));
+            const unknownDies = [];
+            
+            const grid = getMapGrid().map(row => row.map(chip => {
+                if (!chip) return params.emptyChar;
+                if (chip.bin === null) return params.untestedChar;
+                if (symbols.has(chip.bin)) return symbols.get(chip.bin);
+                
+                unknownDies.push(chip.id);
+                return '?';
+            }));
+            
+            const text = rotateGrid(grid, params.rotation / 90).map(row => row.join('')).join('\r\n') + '\r\n';
+            return { text, unknownDies };
+        },
+        
+        /**
+         * Export the ASCII map as a text file
+         */
+        exportAsciiMap: function() {
+            const { text, unknownDies } = this.buildAsciiMap();
+            
+            if (unknownDies.length > 0) {
+                const list = unknownDies.slice(0, 10).join(', ') + (unknownDies.length > 10 ? ', …' : '');
+                alert(`Dies written as '?', as their bin has no symbol (${unknownDies.length}): ${list}`);
+            }
+            
+            downloadFile(text, 'wafer_map.txt', 'text/plain');
+        },
+        
+        /**
+         * Build a SEMI E142 substrate map of the die grid
+         * Lengths are in mm. The LowerLeft of the device layout is the lower-left corner of the bottom-left die,
+         * from the wafer center with Y up. Orientation is the clockwise angle of the flat or notch from the
+         * bottom of the wafer. Bin codes run from the upper-left die, row by row; dies without a bin get the null bin.
+         * The reference die is the origin die of the die coordinates. Block dies are not on the grid and are left out.
+         * @returns {Object} {xml, skippedDies}: XML text, and IDs of dies left without a bin for an unwritable code
+         */
+        buildE142: function() {
+            const waferParams = WaferState.getWaferParams();
+            const chipParams = WaferState.getChipParams();
+            const bins = WaferState.getBins();
+            const grid = getMapGrid();
+            const rows = grid.length;
+            const cols = rows > 0 ? grid[0].length : 0;
+            
+            const isPlate = waferParams.shape === 'square' || waferParams.shape === 'rectangle';
+            const substrateWidth = isPlate ? waferParams.substrateWidth : waferParams.diameter;
+            const substrateHeight = waferParams.shape === 'rectangle' ? waferParams.substrateHeight : substrateWidth;
+            
+            // Upper-left corner of the grid, from any die on it
+            let left = 0;
+            let top = 0;
+            grid.some((row, rowIndex) => row.some((chip, colIndex) => {
+                if (!chip) return false;
+                left = chip.x - colIndex * chipParams.pitchX;
+                top = chip.y - rowIndex * chipParams.pitchY;
+                return true;
+            }));
+            
+            // Hexadecimal codes wide enough that the null bin, all Fs, is no bin code.
+            // Codes that are no whole number from 0 can't be written; their dies are left out and reported.
+            const isValidCode = code => Number.isInteger(code) && code >= 0;
+            const codes = new Set(bins.map(bin => bin.code));
+            grid.forEach(row => row.forEach(chip => {
+                if (chip && chip.bin !== null) codes.add(chip.bin);
+            }));
+            let maxCode = 0;
+            codes.forEach(code => {
+                if (isValidCode(code)) maxCode = Math.max(maxCode, code);
+            });
+            let digits = 2;
+            while (Math.pow(16, digits) - 1 <= maxCode) digits += 2;
+            const nullBin = 'F'.repeat(digits);
+            const hex = code => code.toString(16).toUpperCase().padStart(digits, '0');
+            
+            const counts = new Map();
+            const skippedDies = [];
+            const binRows = grid.map(row => row.map(chip => {
+                if (!chip || chip.bin === null) return nullBin;
+                if (!isValidCode(chip.bin)) {
+                    skippedDies.push(chip.id);
+                    return nullBin;
+                }
+                counts.set(chip.bin, (counts.get(chip.bin) || 0) + 1);
+                return hex(chip.bin);
+            }).join(''));
+            
+            const originChip = WaferState.getAllChips().find(chip => chip.col === 0 && chip.row === 0);
+            const referenceLines = originChip ? [
+                '        <ReferenceDevices>',
+                '          <ReferenceDevice Name="OriginDie">',
+                `            <Coordinates X="${Math.round((originChip.x - left) / chipParams.pitchX)}" ` +
+                    `Y="${Math.round((originChip.y - top) / chipParams.pitchY)}"/>`,
+                '          </ReferenceDevice>',
+                '        </ReferenceDevices>'
+            ] : [];
+            
+            const substrateId = escapeXml(waferParams.name || 'Wafer');
+            const orientation = ((waferParams.orientation - 90) % 360 + 360) % 360;
+            const lowerLeftY = -(top + (rows - 1) * chipParams.pitchY + chipParams.height);
+            
+            const lines = [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                `<MapData xmlns="${E142_NAMESPACE}">`,
+                '  <Layouts>',
+                '    <Layout LayoutId="WaferLayout" DefaultUnits="mm" TopLevel="true">',
+                '      <Dimension X="1" Y="1"/>',
+                `      <DeviceSize X="${roundMm(substrateWidth)}" Y="${roundMm(substrateHeight)}"/>`,
+                '      <ChildLayouts>',
+                '        <ChildLayout LayoutId="Devices"/>',
+                '      </ChildLayouts>',
+                '    </Layout>',
+                '    <Layout LayoutId="Devices" DefaultUnits="mm">',
+                `      <Dimension X="${cols}" Y="${rows}"/>`,
+                `      <LowerLeft X="${roundMm(left)}" Y="${roundMm(lowerLeftY)}"/>`,
+                `      <DeviceSize X="${roundMm(chipParams.width)}" Y="${roundMm(chipParams.height)}"/>`,
+                `      <StepSize X="${roundMm(chipParams.pitchX)}" Y="${roundMm(chipParams.pitchY)}"/>`,
+                '    </Layout>',
+                '  </Layouts>',
+                '  <Substrates>',
+                `    <Substrate SubstrateType="Wafer" SubstrateId="${substrateId}"/>`,
+                '  </Substrates>',
+                '  <SubstrateMaps>',
+                `    <SubstrateMap SubstrateType="Wafer" SubstrateId="${substrateId}" LayoutSpecifier="WaferLayout/Devices" ` +
+                    `Orientation="${orientation}" OriginLocation="UpperLeft" AxisDirection="DownRight">`,
+                '      <Overlay MapName="BinMap" MapVersion="1">',
+                ...referenceLines,
+                `        <BinCodeMap BinType="HexaDecimal" NullBin="${nullBin}">`,
+                '          <BinDefinitions>',
+                ...bins.filter(bin => isValidCode(bin.code)).map(bin => `            <BinDefinition BinCode="${hex(bin.code)}" BinCount="${counts.get(bin.code) || 0}" ` +
+                    `BinQuality="${bin.pass ? 'Pass' : 'Fail'}" BinDescription="${escapeXml(bin.name)}"/>`),
+                '          </BinDefinitions>',
+                ...binRows.map(row => `          <BinCode>${row}</BinCode>`),
+                '        </BinCodeMap>',
+                '      </Overlay>',
+                '    </SubstrateMap>',
+                '  </SubstrateMaps>',
+                '</MapData>'
+            ];
+            
+            return {
+                xml: lines.join('\r\n') + '\r\n',
+                skippedDies
+            };
+        },
+        
+        /**
+         * Export the wafer map as SEMI E142 XML, warning about dies whose bin code could not be written
+         */
+        exportToE142: function() {
+            const { xml, skippedDies } = this.buildE142();
+            
+            if (skippedDies.length > 0) {
+                const list = skippedDies.slice(0, 10).join(', ') + (skippedDies.length > 10 ? ', …' : '');
+                alert(`Dies written without a bin, as their bin code is no whole number from 0 ` +
+                    `(${skippedDies.length}): ${list}`);
+            }
+            
+            downloadFile(xml, 'wafer_map.xml', 'application/xml');
+        },
+        
         /**
          * Import a wafer map from JSON
          * @param {string} json - JSON string to import
@@ -179,16 +767,405 @@ const ExportTools = (function() {
                 // Update controls
                 Controls.updateControlsFromState();
                 
-                // Regenerate wafer map with the imported data
-                const chips = WaferState.getAllChips();
-                const waferParams = WaferState.getWaferParams();
-                SvgRenderer.renderWafer(chips, waferParams);
+                // Redraw the wafer map with the imported data
+                WaferMapping.renderMap();
                 
                 return true;
             } else {
                 alert('Failed to import wafer map. Invalid format.');
                 return false;
             }
+        },
+        
+        /**
+         * Read a CSV or TSV table
+         * Blank and '#' lines before the header, such as the metadata block of a die list, are skipped.
+         * The separator is taken from the header line: tab, semicolon or comma.
+         * @param {string} text - File content
+         * @returns {Object|null} {header, rows, delimiter} where rows are {line, cells}, or null if the file is empty
+         */
+        parseCsv: function(text) {
+            const content = text.replace(/^\uFEFF/, '');
+            const leading = content.match(/^(?:[ \t]*(?:#[^\r\n]*)?(?:\r\n|\r|\n))*/)[0];
+            const skippedLines = (leading.match(/\r\n|\r|\n/g) || []).length;
+            const table = content.slice(leading.length);
+            
+            const firstLine = table.split(/\r?\n/, 1)[0];
+            const count = char => firstLine.split(char).length - 1;
+            
+            let delimiter = ',';
+            if (count('\t') > 0) {
+                delimiter = '\t';
+            } else if (count(';') > count(',')) {
+                delimiter = ';';
+            }
+            
+            // Lines are counted from the top of the file
+            const records = parseDelimited(table, delimiter)
+                .map(record => ({ ...record, line: record.line + skippedLines }));
+            if (records.length === 0) return null;
+            
+            return {
+                header: records[0].cells,
+                rows: records.slice(1),
+                delimiter
+            };
+        },
+        
+        /**
+         * Import per-die data from a parsed CSV table
+         * Rows are matched to the dies on the map by x/y position or by die number. Rows that match no
+         * die or hold an invalid bin code are skipped and reported, as are dies hit by more than one row;
+         * the last row hitting a die wins.
+         * @param {Object} table - Table from parseCsv
+         * @param {Object} mapping - Column indices (-1 = not used): key ('position' or 'number'), x, y,
+         *     yUp (y grows upwards in the file), number, bin, label, color, and values (array of indices)
+         * @returns {Object} Report {rows, updatedDies, unmatched: [{line, reason}], duplicates: [{id, lines}], addedBins}
+         */
+        importFromCsv: function(table, mapping) {
+            const onMap = WaferState.getAllChips().filter(isChipOnMap);
+            const byNumber = new Map(onMap.filter(chip => chip.number !== null).map(chip => [chip.number, chip]));
+            const positions = indexChipPositions(onMap);
+            const cell = (row, index) => index >= 0 ? row.cells[index] : undefined;
+            const number = (row, index) => parseCellNumber(cell(row, index), table.delimiter);
+            
+            const entries = [];
+            const unmatched = [];
+            const linesById = new Map();
+            
+            table.rows.forEach(row => {
+                let chip = null;
+                if (mapping.key === 'number') {
+                    const dieNumber = number(row, mapping.number);
+                    if (!Number.isInteger(dieNumber)) {
+                        unmatched.push({ line: row.line, reason: 'no die number' });
+                        return;
+                    }
+                    chip = byNumber.get(dieNumber);
+                } else {
+                    const x = number(row, mapping.x);
+                    const y = number(row, mapping.y);
+                    if (!Number.isFinite(x) || !Number.isFinite(y)) {
+                        unmatched.push({ line: row.line, reason: 'no x/y position' });
+                        return;
+                    }
+                    chip = findChipAtPosition(positions, x, mapping.yUp ? -y : y);
+                }
+                
+                if (!chip) {
+                    unmatched.push({ line: row.line, reason: 'no die at this position or number' });
+                    return;
+                }
+                
+                const entry = { id: chip.id, values: {} };
+                
+                // Bin codes are whole numbers from 0, as in the bin table
+                const binText = (cell(row, mapping.bin) || '').trim();
+                if (binText !== '') {
+                    const bin = parseCellNumber(binText, table.delimiter);
+                    if (!Number.isInteger(bin) || bin < 0) {
+                        unmatched.push({ line: row.line, reason: `invalid bin code "${binText}"` });
+                        return;
+                    }
+                    entry.bin = bin;
+                } else {
+                    const label = cell(row, mapping.label);
+                    const color = cell(row, mapping.color);
+                    if (label) entry.label = label;
+                    if (color && /^#[0-9a-f]{6}$/i.test(color)) entry.color = color;
+                }
+                
+                mapping.values.forEach(index => {
+                    const value = number(row, index);
+                    if (Number.isFinite(value)) entry.values[table.header[index]] = value;
+                });
+                
+                entries.push(entry);
+                linesById.set(chip.id, [...(linesById.get(chip.id) || []), row.line]);
+            });
+            
+            const addedBins = WaferState.applyDieData(entries);
+            
+            // Update the controls for new bins and measurements, then redraw as one undo step
+            Controls.updateControlsFromState();
+            WaferMapping.renderMap();
+            
+            return {
+                rows: table.rows.length,
+                updatedDies: linesById.size,
+                unmatched,
+                duplicates: [...linesById]
+                    .filter(([, lines]) => lines.length > 1)
+                    .map(([id, lines]) => ({ id, lines })),
+                addedBins
+            };
+        },
+        
+        /**
+         * Import die bins from an ASCII map
+         * The symbols of the file are laid over the die grid with the top-left corners of both aligned,
+         * after turning the file back by the configured rotation. Symbols that no bin uses become new bins.
+         * @param {string} text - File content
+         * @returns {Object|null} Report {rows, cols, mapRows, mapCols, updatedDies, unmatched: [{line, column, char}],
+         *     missingDies, addedBins}, or null if the file holds no grid
+         */
+        importFromAsciiMap: function(text) {
+            const params = WaferState.getAsciiMapParams();
+            const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+            
+            // Blank lines around the grid are not part of it
+            while (lines.length > 0 && lines[lines.length - 1].trim() === '') lines.pop();
+            while (lines.length > 0 && lines[0].trim() === '') lines.shift();
+            if (lines.length === 0) return null;
+            
+            // Short lines are padded with empty cells; cells remember where they are in the file
+            const width = lines.reduce((longest, line) => Math.max(longest, line.length), 0);
+            const fileGrid = lines.map((line, lineIndex) => Array.from({ length: width }, (_, index) => ({
+                char: index < line.length ? line[index] : params.emptyChar,
+                line: lineIndex + 1,
+                column: index + 1
+            })));
+            const grid = rotateGrid(fileGrid, -params.rotation / 90);
+            
+            // Bounding box of the cells that hold a symbol
+            let top = Infinity, left = Infinity, bottom = -1, right = -1;
+            grid.forEach((row, rowIndex) => row.forEach((cell, colIndex) => {
+                if (cell.char === params.emptyChar) return;
+                top = Math.min(top, rowIndex);
+                left = Math.min(left, colIndex);
+                bottom = Math.max(bottom, rowIndex);
+                right = Math.max(right, colIndex);
+            }));
+            if (bottom < 0) return null;
+            
+            const binBySymbol = new Map();
+            WaferState.getBins().forEach(bin => {
+                const symbol = getBinSymbol(bin);
+                if (!binBySymbol.has(symbol)) binBySymbol.set(symbol, bin.code);
+            });
+            
+            const mapGrid = getMapGrid();
+            const entries = [];
+            const unmatched = [];
+            const covered = new Set();
+            
+            for (let row = top; row <= bottom; row++) {
+                for (let col = left; col <= right; col++) {
+                    const cell = grid[row][col];
+                    if (cell.char === params.emptyChar) continue;
+                    
+                    const chip = (mapGrid[row - top] || [])[col - left];
+                    if (!chip) {
+                        unmatched.push({ line: cell.line, column: cell.column, char: cell.char });
+                        continue;
+                    }
+                    
+                    // Unknown symbols that stand for a code get that bin, others a bin named after the symbol
+                    const entry = { id: chip.id };
+                    if (cell.char === params.untestedChar) {
+                        entry.bin = null;
+                    } else if (binBySymbol.has(cell.char)) {
+                        entry.bin = binBySymbol.get(cell.char);
+                    } else if (BIN_SYMBOLS.includes(cell.char)) {
+                        entry.bin = BIN_SYMBOLS.indexOf(cell.char);
+                    } else {
+                        entry.label = `Symbol ${cell.char}`;
+                        entry.symbol = cell.char;
+                    }
+                    
+                    entries.push(entry);
+                    covered.add(chip.id);
+                }
+            }
+            
+            const addedBins = WaferState.applyDieData(entries);
+            
+            // Update the controls for new bins, then redraw as one undo step
+            Controls.updateControlsFromState();
+            WaferMapping.renderMap();
+            
+            return {
+                rows: bottom - top + 1,
+                cols: right - left + 1,
+                mapRows: mapGrid.length,
+                mapCols: mapGrid.length > 0 ? mapGrid[0].length : 0,
+                updatedDies: covered.size,
+                unmatched,
+                missingDies: mapGrid.flat().filter(chip => chip && !covered.has(chip.id)).map(chip => chip.id),
+                addedBins
+            };
+        },
+        
+        /**
+         * Open a SEMI E142 substrate map
+         * Substrate size, die size and pitch, orientation and reference die replace the current settings and the
+         * grid is rebuilt so that its dies sit where the map puts them; then the bins are defined and the dies binned.
+         * Keep-out zones and die blocks are removed, as the map has no place for them.
+         * Hexadecimal and decimal bin codes are read, either run together at a fixed width or separated by spaces.
+         * @param {string} text - XML text
+         * @returns {Object|null} Report {rows, cols, updatedDies, unmatched: [{x, y}] in file cells, addedBins,
+         *     clearedZones, clearedBlocks}, or null if the file is no E142 bin map that can be read
+         */
+        importFromE142: function(text) {
+            const doc = new DOMParser().parseFromString(text, 'application/xml');
+            if (findXmlElements(doc, 'parsererror').length > 0) return null;
+            
+            const substrateMap = findXmlElements(doc, 'SubstrateMap')[0];
+            const binCodeMap = substrateMap ? findXmlElements(substrateMap, 'BinCodeMap')[0] : null;
+            if (!binCodeMap) return null;
+            
+            const binType = binCodeMap.getAttribute('BinType') || 'HexaDecimal';
+            if (binType !== 'HexaDecimal' && binType !== 'Decimal') return null;
+            const radix = binType === 'Decimal' ? 10 : 16;
+            const nullBin = (binCodeMap.getAttribute('NullBin') || (radix === 10 ? '255' : 'FF')).toUpperCase();
+            
+            // The layout specifier names the wafer layout first and the device layout last
+            const layouts = findXmlElements(doc, 'Layout');
+            const layoutIds = (substrateMap.getAttribute('LayoutSpecifier') || '').split('/');
+            const deviceLayout = layouts.find(layout => layout.getAttribute('LayoutId') === layoutIds[layoutIds.length - 1]) ||
+                layouts[layouts.length - 1];
+            const waferLayout = layouts.find(layout => layout !== deviceLayout &&
+                (layout.getAttribute('LayoutId') === layoutIds[0] || layout.getAttribute('TopLevel') === 'true'));
+            if (!deviceLayout) return null;
+            
+            const dieWidth = getLayoutValue(deviceLayout, 'DeviceSize', 'X');
+            const dieHeight = getLayoutValue(deviceLayout, 'DeviceSize', 'Y');
+            if (!(dieWidth > 0) || !(dieHeight > 0)) return null;
+            const stepX = Math.max(getLayoutValue(deviceLayout, 'StepSize', 'X') || 0, dieWidth);
+            const stepY = Math.max(getLayoutValue(deviceLayout, 'StepSize', 'Y') || 0, dieHeight);
+            
+            // One row of codes per BinCode element, turned so that the first row is the top one, read left to right
+            const originLocation = substrateMap.getAttribute('OriginLocation') || 'UpperLeft';
+            const codeRows = findXmlElements(binCodeMap, 'BinCode').map(element => {
+                const content = element.textContent.trim();
+                const cells = /\s/.test(content) ? content.split(/\s+/) :
+                    content.match(new RegExp(`.{1,${nullBin.length}}`, 'g')) || [];
+                const codes = cells.map(cell => {
+                    const code = cell.toUpperCase() === nullBin ? NaN : parseInt(cell, radix);
+                    return Number.isInteger(code) ? code : null;
+                });
+                return /Right$/.test(originLocation) ? codes.reverse() : codes;
+            });
+            if (/^Lower/.test(originLocation)) codeRows.reverse();
+            
+            const rows = codeRows.length;
+            const cols = Math.max(0, ...codeRows.map(row => row.length));
+            
+            // Cells are counted from the origin corner of the file
+            const fileX = col => /Right$/.test(originLocation) ? cols - 1 - col : col;
+            const fileY = row => /^Lower/.test(originLocation) ? rows - 1 - row : row;
+            
+            // Upper-left corner of the die in a cell, in map mm; without LowerLeft the grid is centered on the wafer
+            let lowerLeftX = getLayoutValue(deviceLayout, 'LowerLeft', 'X');
+            let lowerLeftY = getLayoutValue(deviceLayout, 'LowerLeft', 'Y');
+            if (!Number.isFinite(lowerLeftX)) lowerLeftX = -(cols * stepX) / 2 + (stepX - dieWidth) / 2;
+            if (!Number.isFinite(lowerLeftY)) lowerLeftY = -(rows * stepY) / 2 + (stepY - dieHeight) / 2;
+            const cellX = col => lowerLeftX + col * stepX;
+            const cellY = row => -(lowerLeftY + (rows - 1 - row) * stepY + dieHeight);
+            
+            // Substrate
+            const waferUpdate = {};
+            if (waferLayout) {
+                const width = getLayoutValue(waferLayout, 'DeviceSize', 'X');
+                const height = getLayoutValue(waferLayout, 'DeviceSize', 'Y');
+                const shape = WaferState.getWaferParams().shape;
+                
+                if (width > 0 && height > 0 && Math.abs(width - height) > 1e-6) {
+                    Object.assign(waferUpdate, { shape: 'rectangle', substrateWidth: width, substrateHeight: height });
+                } else if (width > 0 && (shape === 'square' || shape === 'rectangle')) {
+                    Object.assign(waferUpdate, { shape: 'square', substrateWidth: width, substrateHeight: width });
+                } else if (width > 0) {
+                    waferUpdate.diameter = width;
+                }
+            }
+            
+            const orientation = parseFloat(substrateMap.getAttribute('Orientation'));
+            if (Number.isFinite(orientation)) waferUpdate.orientation = ((orientation + 90) % 360 + 360) % 360;
+            if (substrateMap.getAttribute('SubstrateId')) waferUpdate.name = substrateMap.getAttribute('SubstrateId');
+            WaferState.updateWaferParams(waferUpdate);
+            
+            // The map holds every die, so keep-out zones and blocks would only knock its dies out
+            const clearedZones = WaferState.getKeepOutZones().length;
+            const clearedBlocks = WaferState.getDieBlocks().length;
+            WaferState.setKeepOutZones([]);
+            WaferState.setDieBlocks([]);
+            
+            // Dies and streets, with the grid shifted onto the dies of the map
+            WaferState.updateChipParams({
+                width: dieWidth,
+                height: dieHeight,
+                streetX: stepX - dieWidth,
+                streetY: stepY - dieHeight,
+                offsetX: 0,
+                offsetY: 0
+            });
+            const unshifted = generateChipGrid(WaferState.getWaferParams(), WaferState.getChipParams(), WaferState.getLayoutParams())[0];
+            WaferState.updateChipParams({
+                offsetX: roundMm(wrapOffset(cellX(0) - unshifted.x, stepX)),
+                offsetY: roundMm(wrapOffset(cellY(0) - unshifted.y, stepY))
+            });
+            
+            // The reference die becomes the origin of the die coordinates
+            const reference = findXmlElements(substrateMap, 'ReferenceDevice')
+                .map(device => findXmlElements(device, 'Coordinates')[0])
+                .find(Boolean);
+            if (reference) {
+                const x = parseInt(reference.getAttribute('X'), 10);
+                const y = parseInt(reference.getAttribute('Y'), 10);
+                if (Number.isInteger(x) && Number.isInteger(y)) {
+                    // Counting from the other corner is the same mirror both ways
+                    WaferState.updateCoordParams({
+                        origin: 'reference',
+                        referenceX: cellX(fileX(x)) + dieWidth / 2,
+                        referenceY: cellY(fileY(y)) + dieHeight / 2
+                    });
+                }
+            }
+            
+            WaferState.setChips(generateChipGrid(WaferState.getWaferParams(), WaferState.getChipParams(), WaferState.getLayoutParams()));
+            
+            // Bins
+            const addedBins = WaferState.defineBins(findXmlElements(binCodeMap, 'BinDefinition')
+                .map(definition => {
+                    const code = parseInt(definition.getAttribute('BinCode'), radix);
+                    return {
+                        code,
+                        name: definition.getAttribute('BinDescription') || `Bin ${code}`,
+                        pass: (definition.getAttribute('BinQuality') || '').toLowerCase() === 'pass'
+                    };
+                })
+                .filter(definition => Number.isInteger(definition.code)));
+            
+            const positions = indexChipPositions(WaferState.getAllChips().filter(isChipOnMap));
+            const entries = [];
+            const unmatched = [];
+            
+            codeRows.forEach((codes, row) => codes.forEach((code, col) => {
+                if (code === null) return;
+                
+                const chip = findChipAtPosition(positions, cellX(col) + dieWidth / 2, cellY(row) + dieHeight / 2);
+                if (chip) {
+                    entries.push({ id: chip.id, bin: code });
+                } else {
+                    unmatched.push({ x: fileX(col), y: fileY(row) });
+                }
+            }));
+            
+            addedBins.push(...WaferState.applyDieData(entries));
+            
+            // Show the new settings, then redraw as one undo step
+            Controls.updateControlsFromState();
+            WaferMapping.renderMap();
+            
+            return {
+                rows,
+                cols,
+                updatedDies: entries.length,
+                unmatched,
+                addedBins,
+                clearedZones,
+                clearedBlocks
+            };
         }
     };
 })();
\ No newline at end of file
@@ -11,49 +11,80 @@
 /**
  * Generates a grid of chips that covers the wafer area
  * @param {Object} waferParams - Parameters for the wafer
+ * @param {string} [waferParams.shape='circle'] - Substrate shape, see getWaferOutline
  * @param {number} waferParams.diameter - Diameter of the wafer in mm
+ * @param {string} waferParams.waferType - 'flat', 'notch' or 'none'
  * @param {number} waferParams.flatAngle - Angle subtended by the flat edge in degrees
+ * @param {number} waferParams.orientation - Direction of the flat or notch in degrees
  * @param {number} waferParams.excludedRadius - Excluded radius from the edge in mm
- * @param {number} chipWidth - Width of each chip in mm
- * @param {number} chipHeight - Height of each chip in mm
- * @returns {Array} Array of chip objects with position and inside flag
+ * @param {Object} chipParams - Parameters for the dies
+ * @param {number} chipParams.width - Width of each die in mm
+ * @param {number} chipParams.height - Height of each die in mm
+ * @param {number} chipParams.streetX - Width of the scribe street between columns in mm
+ * @param {number} chipParams.streetY - Width of the scribe street between rows in mm
+ * @param {number} chipParams.offsetX - Shift of the grid in X in mm
+ * @param {number} chipParams.offsetY - Shift of the grid in Y in mm
+ * @param {Object} [layoutParams] - Layout settings on top of the die grid
+ * @param {Object} [layoutParams.reticle] - Dies per exposure field (diesX, diesY) and field offset in dies (offsetX, offsetY)
+ * @param {Object} [layoutParams.coordinates] - Origin and axis directions for the die coordinates
+ * @param {Object} [layoutParams.numbering] - Numbering scheme, start corner and partial die handling
+ * @param {Array} [layoutParams.keepOutZones] - Rectangles, circles and polygons in wafer mm where no die may be placed
+ * @param {Array} [layoutParams.dieTypes] - Extra products {id, name, width, height} for multi-project layouts
+ * @param {Array} [layoutParams.dieBlocks] - Blocks {typeId, x, y, cols, rows} of those products placed on the wafer
+ * @returns {Array} Array of chip objects with position, status ('full', 'partial', 'excluded' or 'outside') and inside flag
  */
-function generateChipGrid(waferParams, chipWidth, chipHeight) {
+function generateChipGrid(waferParams, chipParams, layoutParams = {}) {
     const waferRadius = waferParams.diameter / 2;
     const usableRadius = waferRadius - waferParams.excludedRadius;
     
-    // Calculate how many chips we need in each dimension to cover the wafer
-    // Add a margin of 1 to ensure we cover the entire wafer
-    const numCols = Math.ceil(waferParams.diameter / chipWidth) + 2;
-    const numRows = Math.ceil(waferParams.diameter / chipHeight) + 2;
+    // Dies are stepped at die size plus street
+    const chipWidth = chipParams.width;
+    const chipHeight = chipParams.height;
+    const streetX = chipParams.streetX || 0;
+    const streetY = chipParams.streetY || 0;
+    const pitchX = chipWidth + streetX;
+    const pitchY = chipHeight + streetY;
+    
+    // Calculate how many chips we need in each dimension to cover the substrate
+    // Add a margin of 1 to ensure we cover the entire substrate
+    const extent = getSubstrateExtent(waferParams);
+    const numCols = Math.ceil(extent / pitchX) + 2;
+    const numRows = Math.ceil(extent / pitchY) + 2;
     
     // Calculate grid dimensions
-    const gridWidth = numCols * chipWidth;
-    const gridHeight = numRows * chipHeight;
+    const gridWidth = numCols * pitchX;
+    const gridHeight = numRows * pitchY;
     
     // Calculate starting position (top-left of grid)
     // Since (0,0) is at the center of the wafer, we start at (-gridWidth/2, -gridHeight/2)
-    const xStart = -gridWidth / 2;
-    const yStart = -gridHeight / 2;
+    // The grid repeats every pitch, so the offset is wrapped to stay within the covering margin
+    const xStart = -gridWidth / 2 + wrapOffset(chipParams.offsetX || 0, pitchX);
+    const yStart = -gridHeight / 2 + wrapOffset(chipParams.offsetY || 0, pitchY);
     
-    // Get flat edge parameters
-    const flatParams = getFlatCutoff(waferRadius, waferParams.flatAngle);
+    // Get flat and notch parameters
+    const outline = getWaferOutline(waferParams);
     
     // Generate chip array
     const chips = [];
     let chipId = 0;
-    let chipNumber = 1; // For sequential numbering, starting at 1
     
-    // First pass - create all chips and mark which ones are inside
+    // First pass - create all chips and classify them against the wafer edge
     const tempChips = [];
     for (let row = 0; row < numRows; row++) {
         for (let col = 0; col < numCols; col++) {
-            // Calculate chip position (bottom-left corner)
-            const x = xStart + col * chipWidth;
-            const y = yStart + row * chipHeight;
+            // Calculate die position (bottom-left corner), centered in its street cell
+            const x = xStart + col * pitchX + streetX / 2;
+            const y = yStart + row * pitchY + streetY / 2;
+            
+            // Full dies lie in the usable area, partial dies still touch the wafer
+            let status = classifyChip(x, y, chipWidth, chipHeight, usableRadius, outline);
+            
+            // Dies touching a keep-out zone are dropped from the map
+            if (status !== 'outside' && overlapsKeepOutZone(x, y, chipWidth, chipHeight, layoutParams.keepOutZones)) {
+                status = 'excluded';
+            }
             
-            // Check if chip is inside wafer boundary
-            const inside = isChipInsideWafer(x, y, chipWidth, chipHeight, usableRadius, flatParams);
+            const inside = status === 'full';
             
             // Create chip object
             tempChips.push({
@@ -62,52 +93,790 @@ function generateChipGrid(waferParams, chipWidth, chipHeight) {
                 y: y,
                 width: chipWidth,
                 height: chipHeight,
+                status: status,
                 inside: inside,
-                color: '#ffffff',
-                label: '', // User-assigned label starts empty
-                number: inside ? chipNumber++ : null // Sequential number for inside chips only
+                product: MAIN_PRODUCT_ID,
+                bin: null, // Code of the assigned bin, unbinned at first
+                note: '', // Free-text note entered in the inspector
+                values: {}, // Named measurements, such as {"Rs (ohm/sq)": 102.4}
+                number: null // Sequential number, assigned in the second pass
             });
         }
     }
     
-    // Second pass - sort chips by Y (top to bottom) and then X (left to right)
-    // and reassign numbers to ensure top-left to bottom-right ordering
-    const insideChips = tempChips.filter(chip => chip.inside)
-        .sort((a, b) => a.y - b.y || a.x - b.x);
+    // Multi-project blocks take precedence over the uniform grid underneath them
+    const blocks = generateBlockChips(waferParams, chipParams, layoutParams, chipId);
+    const blockZones = blocks.flatMap(block => block.chips)
+        .filter(isChipOnMap)
+        .map(chip => ({ type: 'rect', x: chip.x, y: chip.y, width: chip.width, height: chip.height }));
+    
+    tempChips.forEach(chip => {
+        if (chip.status !== 'outside' && overlapsKeepOutZone(chip.x, chip.y, chip.width, chip.height, blockZones)) {
+            chip.status = 'excluded';
+            chip.inside = false;
+        }
+    });
     
-    // Reassign numbers
-    insideChips.forEach((chip, index) => {
-        chip.number = index + 1; // Start from 1
+    // Second pass - number the dies in the configured stepping order, blocks after the main grid
+    let nextNumber = assignNumbers(tempChips, numCols, numRows, layoutParams.numbering);
+    blocks.forEach(block => {
+        nextNumber = assignNumbers(block.chips, block.cols, block.rows, layoutParams.numbering, nextNumber);
     });
     
-    // Add all chips to final array (both inside and outside)
+    // Third pass - group dies into reticle shots
+    assignShots([...tempChips, ...blocks.flatMap(block => block.chips)], { xStart, yStart, pitchX, pitchY },
+        layoutParams.reticle);
+    
+    // Fourth pass - give every die its column/row relative to the origin die
+    assignCoordinates(tempChips, numCols, numRows, layoutParams.coordinates);
+    
+    // Add all chips to final array (both inside and outside), block dies last
     chips.push(...tempChips);
+    blocks.forEach(block => chips.push(...block.chips));
     
     return chips;
 }
 
 /**
- * Calculates parameters for the flat edge of the wafer
+ * Product ID of the dies on the uniform grid
+ */
+const MAIN_PRODUCT_ID = 'main';
+
+/**
+ * Creates the dies of the multi-project blocks
+ * Each block is a sub-grid of one die type, stepped at the die size plus the scribe streets.
+ * Dies that hit the wafer edge, a keep-out zone or an earlier block are classified like grid dies.
+ * @param {Object} waferParams - Parameters for the wafer
+ * @param {Object} chipParams - Parameters for the dies (streets are shared by all products)
+ * @param {Object} layoutParams - Layout settings with dieTypes, dieBlocks and keepOutZones
+ * @param {number} firstId - ID of the first block die
+ * @returns {Array} Blocks as {cols, rows, chips} with chips in row-major order
+ */
+function generateBlockChips(waferParams, chipParams, layoutParams, firstId) {
+    const dieTypes = layoutParams.dieTypes || [];
+    const dieBlocks = layoutParams.dieBlocks || [];
+    const usableRadius = waferParams.diameter / 2 - waferParams.excludedRadius;
+    const outline = getWaferOutline(waferParams);
+    const streetX = chipParams.streetX || 0;
+    const streetY = chipParams.streetY || 0;
+    
+    // On-map dies of the blocks placed so far
+    const placedZones = [];
+    let chipId = firstId;
+    
+    return dieBlocks.map((block, blockIndex) => {
+        const dieType = dieTypes.find(type => type.id === block.typeId);
+        const cols = Math.max(0, Math.round(block.cols || 0));
+        const rows = Math.max(0, Math.round(block.rows || 0));
+        const blockChips = [];
+        
+        if (!dieType) {
+            return { cols: 0, rows: 0, chips: blockChips };
+        }
+        
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const x = block.x + col * (dieType.width + streetX);
+                const y = block.y + row * (dieType.height + streetY);
+                
+                let status = classifyChip(x, y, dieType.width, dieType.height, usableRadius, outline);
+                
+                if (status !== 'outside' &&
+                    (overlapsKeepOutZone(x, y, dieType.width, dieType.height, layoutParams.keepOutZones) ||
+                    overlapsKeepOutZone(x, y, dieType.width, dieType.height, placedZones))) {
+                    status = 'excluded';
+                }
+                
+                blockChips.push({
+                    id: chipId++,
+                    x: x,
+                    y: y,
+                    width: dieType.width,
+                    height: dieType.height,
+                    status: status,
+                    inside: status === 'full',
+                    product: dieType.id,
+                    block: blockIndex,
+                    blockCol: col,
+                    blockRow: row,
+                    bin: null,
+                    note: '',
+                    values: {},
+                    number: null,
+                    shotId: null, // Field holding the die, assigned with the grid dies
+                    col: null,
+                    row: null
+                });
+            }
+        }
+        
+        // Later blocks may not overlap the dies of this one
+        blockChips.filter(isChipOnMap).forEach(chip => {
+            placedZones.push({ type: 'rect', x: chip.x, y: chip.y, width: chip.width, height: chip.height });
+        });
+        
+        return { cols, rows, chips: blockChips };
+    });
+}
+
+/**
+ * Numbers the dies of a row-major grid in stepping order
+ * @param {Array} gridChips - Chips in row-major grid order
+ * @param {number} numCols - Number of grid columns
+ * @param {number} numRows - Number of grid rows
+ * @param {Object} [numbering] - Numbering settings
+ * @param {string} [numbering.scheme='row'] - 'row' (row-major), 'column' (column-major) or 'serpentine'
+ * @param {string} [numbering.startCorner='top-left'] - Corner of the map where numbering starts
+ * @param {boolean} [numbering.skipPartial=true] - Leave partial dies unnumbered
+ * @param {number} [firstNumber=1] - Number given to the first die
+ * @returns {number} The next unused number
+ */
+function assignNumbers(gridChips, numCols, numRows, numbering = {}, firstNumber = 1) {
+    const scheme = numbering.scheme || 'row';
+    const startCorner = numbering.startCorner || 'top-left';
+    const skipPartial = numbering.skipPartial !== false;
+    
+    // Mirror the grid so that numbering always runs from its first row and column
+    const flipX = startCorner.endsWith('right');
+    const flipY = startCorner.startsWith('bottom');
+    
+    const cells = [];
+    gridChips.forEach((chip, index) => {
+        chip.number = null;
+        if (chip.status === 'full' || (chip.status === 'partial' && !skipPartial)) {
+            const col = index % numCols;
+            const row = Math.floor(index / numCols);
+            cells.push({
+                chip: chip,
+                col: flipX ? numCols - 1 - col : col,
+                row: flipY ? numRows - 1 - row : row
+            });
+        }
+    });
+    
+    if (scheme === 'column') {
+        cells.sort((a, b) => a.col - b.col || a.row - b.row);
+    } else if (scheme === 'serpentine') {
+        // Every other occupied row is stepped backwards
+        const rows = [...new Set(cells.map(cell => cell.row))].sort((a, b) => a - b);
+        const rowOrder = new Map(rows.map((row, index) => [row, index]));
+        cells.sort((a, b) => a.row - b.row ||
+            (rowOrder.get(a.row) % 2 === 0 ? a.col - b.col : b.col - a.col));
+    } else {
+        cells.sort((a, b) => a.row - b.row || a.col - b.col);
+    }
+    
+    cells.forEach((cell, index) => {
+        cell.chip.number = firstNumber + index;
+    });
+    
+    return firstNumber + cells.length;
+}
+
+/**
+ * Groups dies into reticle shots
+ * Fields are stepped from the grid cell holding the wafer center, which is the top-left die of a field
+ * before the field offset, so fields stay in place on the wafer however far the grid reaches past its edge.
+ * Shots are numbered from 1 in row-major order; shots without any die on the wafer get no ID.
+ * @param {Array} chips - Chips to group
+ * @param {Object} grid - Left and top edge of the grid (xStart, yStart) and its pitch (pitchX, pitchY) in mm
+ * @param {Object} [reticle] - Dies per field (diesX, diesY) and field offset in dies (offsetX, offsetY)
+ */
+function assignShots(chips, grid, reticle) {
+    const diesX = Math.max(1, Math.round((reticle && reticle.diesX) || 1));
+    const diesY = Math.max(1, Math.round((reticle && reticle.diesY) || 1));
+    const offsetX = Math.round((reticle && reticle.offsetX) || 0);
+    const offsetY = Math.round((reticle && reticle.offsetY) || 0);
+    
+    // Grid cell of a point; a wafer center on a street goes to the cell right of or below it
+    const cellCol = x => Math.floor((x - grid.xStart) / grid.pitchX + 1e-9);
+    const cellRow = y => Math.floor((y - grid.yStart) / grid.pitchY + 1e-9);
+    const centerCol = cellCol(0);
+    const centerRow = cellRow(0);
+    
+    // Collect the dies of every field, by the cell of each die center
+    const shots = new Map();
+    chips.forEach(chip => {
+        const col = cellCol(chip.x + chip.width / 2) - centerCol;
+        const row = cellRow(chip.y + chip.height / 2) - centerRow;
+        const shotCol = Math.floor((col - offsetX) / diesX);
+        const shotRow = Math.floor((row - offsetY) / diesY);
+        const key = `${shotRow},${shotCol}`;
+        
+        if (!shots.has(key)) {
+            shots.set(key, { shotRow, shotCol, chips: [] });
+        }
+        shots.get(key).chips.push(chip);
+    });
+    
+    const orderedShots = [...shots.values()]
+        .sort((a, b) => a.shotRow - b.shotRow || a.shotCol - b.shotCol);
+    
+    let shotId = 1;
+    orderedShots.forEach(shot => {
+        const onWafer = shot.chips.some(chip => chip.status !== 'outside');
+        const id = onWafer ? shotId++ : null;
+        shot.chips.forEach(chip => {
+            chip.shotId = id;
+        });
+    });
+}
+
+/**
+ * Assigns integer column/row coordinates to the dies of a row-major grid
+ * @param {Array} gridChips - Chips in row-major grid order
+ * @param {number} numCols - Number of grid columns
+ * @param {number} numRows - Number of grid rows
+ * @param {Object} [coordinates] - Coordinate settings
+ * @param {string} [coordinates.origin='center'] - 'center' die, 'reference' die or 'corner'
+ * @param {string} [coordinates.corner='top-left'] - Corner of the full dies used as origin
+ * @param {number} [coordinates.referenceX=0] - X of a point on the reference die in mm
+ * @param {number} [coordinates.referenceY=0] - Y of a point on the reference die in mm
+ * @param {string} [coordinates.xDirection='right'] - Direction in which columns increase, 'right' or 'left'
+ * @param {string} [coordinates.yDirection='down'] - Direction in which rows increase on the map, 'down' or 'up'
+ */
+function assignCoordinates(gridChips, numCols, numRows, coordinates = {}) {
+    const origin = coordinates.origin || 'center';
+    
+    // The die whose center is nearest to a point
+    const nearestCell = (px, py) => {
+        let bestIndex = 0;
+        let bestDistance = Infinity;
+        gridChips.forEach((chip, index) => {
+            const dx = chip.x + chip.width / 2 - px;
+            const dy = chip.y + chip.height / 2 - py;
+            const distance = dx * dx + dy * dy;
+            if (distance < bestDistance - 1e-9) {
+                bestDistance = distance;
+                bestIndex = index;
+            }
+        });
+        return { col: bestIndex % numCols, row: Math.floor(bestIndex / numCols) };
+    };
+    
+    let originCell;
+    if (origin === 'reference') {
+        originCell = nearestCell(coordinates.referenceX || 0, coordinates.referenceY || 0);
+    } else if (origin === 'corner') {
+        // Corner of the bounding box of the full dies, which need not hold a die itself
+        const bounds = { minCol: Infinity, maxCol: -Infinity, minRow: Infinity, maxRow: -Infinity };
+        gridChips.forEach((chip, index) => {
+            if (chip.status !== 'full') return;
+            const col = index % numCols;
+            const row = Math.floor(index / numCols);
+            bounds.minCol = Math.min(bounds.minCol, col);
+            bounds.maxCol = Math.max(bounds.maxCol, col);
+            bounds.minRow = Math.min(bounds.minRow, row);
+            bounds.maxRow = Math.max(bounds.maxRow, row);
+        });
+        
+        const corner = coordinates.corner || 'top-left';
+        originCell = !isFinite(bounds.minCol) ? nearestCell(0, 0) : {
+            col: corner.endsWith('right') ? bounds.maxCol : bounds.minCol,
+            row: corner.startsWith('bottom') ? bounds.maxRow : bounds.minRow
+        };
+    } else {
+        originCell = nearestCell(0, 0);
+    }
+    
+    const xSign = coordinates.xDirection === 'left' ? -1 : 1;
+    const ySign = coordinates.yDirection === 'up' ? -1 : 1;
+    
+    for (let row = 0; row < numRows; row++) {
+        for (let col = 0; col < numCols; col++) {
+            const chip = gridChips[row * numCols + col];
+            // Adding 0 turns -0 into 0
+            chip.col = xSign * (col - originCell.col) + 0;
+            chip.row = ySign * (row - originCell.row) + 0;
+        }
+    }
+}
+
+/**
+ * Wraps a grid offset into the range [-pitch/2, pitch/2)
+ * @param {number} offset - Grid offset in mm
+ * @param {number} pitch - Grid pitch in mm
+ * @returns {number} Equivalent offset closest to zero
+ */
+function wrapOffset(offset, pitch) {
+    return ((offset + pitch / 2) % pitch + pitch) % pitch - pitch / 2;
+}
+
+/**
+ * Calculates the grid offsets that put a die or a street on the wafer center
+ * @param {Object} waferParams - Parameters for the wafer
+ * @param {Object} chipParams - Parameters for the dies
+ * @returns {Object} Offsets dieX, dieY, streetX and streetY in mm
+ */
+function getCenteredGridOffsets(waferParams, chipParams) {
+    const centeredOffsets = (dieSize, street) => {
+        const pitch = dieSize + (street || 0);
+        const numCells = Math.ceil(getSubstrateExtent(waferParams) / pitch) + 2;
+        
+        // With no offset, an even number of cells puts a street on the center
+        const streetOffset = numCells % 2 === 0 ? 0 : pitch / 2;
+        return {
+            street: streetOffset,
+            die: wrapOffset(streetOffset + pitch / 2, pitch)
+        };
+    };
+    
+    const x = centeredOffsets(chipParams.width, chipParams.streetX);
+    const y = centeredOffsets(chipParams.height, chipParams.streetY);
+    
+    return {
+        dieX: x.die,
+        dieY: y.die,
+        streetX: x.street,
+        streetY: y.street
+    };
+}
+
+/**
+ * Counts the dies that lie fully inside the usable wafer area
+ * Dies touching a keep-out zone are not counted and multi-project block dies are, the same as on the map.
+ * @param {Object} waferParams - Parameters for the wafer
+ * @param {Object} chipParams - Parameters for the dies
+ * @param {Object} [layoutParams] - Layout settings, as for generateChipGrid
+ * @returns {number} Gross die count
+ */
+function countGrossDies(waferParams, chipParams, layoutParams = {}) {
+    return generateChipGrid(waferParams, chipParams, layoutParams).filter(chip => chip.inside).length;
+}
+
+/**
+ * Searches grid offsets for the placement with the most gross dies
+ * @param {Object} waferParams - Parameters for the wafer
+ * @param {Object} chipParams - Parameters for the dies
+ * @param {Object} [layoutParams] - Layout settings, as for generateChipGrid
+ * @param {Object} [options] - Search options
+ * @param {string} [options.mode='search'] - 'search' scans offsets across a pitch, 'center' only tries die or street on center
+ * @param {number} [options.steps=10] - Offsets tried per axis when scanning
+ * @returns {Object} Best offsetX, offsetY, gross die count and placement description
+ */
+function optimizeGridOffset(waferParams, chipParams, layoutParams = {}, options = {}) {
+    const mode = options.mode || 'search';
+    const steps = options.steps || 10;
+    const pitchX = chipParams.width + (chipParams.streetX || 0);
+    const pitchY = chipParams.height + (chipParams.streetY || 0);
+    const centered = getCenteredGridOffsets(waferParams, chipParams);
+    
+    // Symmetric placements come first so they win ties
+    const candidates = [];
+    for (const [xPlacement, offsetX] of [['die', centered.dieX], ['street', centered.streetX]]) {
+        for (const [yPlacement, offsetY] of [['die', centered.dieY], ['street', centered.streetY]]) {
+            candidates.push({
+                offsetX,
+                offsetY,
+                placement: `X: ${xPlacement} on center, Y: ${yPlacement} on center`
+            });
+        }
+    }
+    
+    if (mode === 'search') {
+        for (let i = 0; i < steps; i++) {
+            for (let j = 0; j < steps; j++) {
+                const offsetX = -pitchX / 2 + pitchX * i / steps;
+                const offsetY = -pitchY / 2 + pitchY * j / steps;
+                candidates.push({
+                    offsetX,
+                    offsetY,
+                    placement: `offset ${offsetX.toFixed(2)} / ${offsetY.toFixed(2)} mm`
+                });
+            }
+        }
+    }
+    
+    let best = null;
+    candidates.forEach(candidate => {
+        const count = countGrossDies(waferParams, {
+            ...chipParams,
+            offsetX: candidate.offsetX,
+            offsetY: candidate.offsetY
+        }, layoutParams);
+        
+        if (!best || count > best.count) {
+            best = { ...candidate, count };
+        }
+    });
+    
+    return best;
+}
+
+/**
+ * Notch geometry for 200 mm and 300 mm wafers (SEMI M1)
+ */
+const SEMI_NOTCH = {
+    depth: 1,   // Depth from the wafer edge to the notch apex in mm
+    angle: 90   // Opening angle of the V in degrees
+};
+
+/**
+ * Secondary flat positions encoding crystal orientation and doping type (SEMI M1).
+ * Offsets are measured clockwise from the primary flat as seen on the map.
+ */
+const SEMI_FLAT_PRESETS = {
+    '100-n': { name: '(100) n-type', secondaryOffset: 180 },
+    '100-p': { name: '(100) p-type', secondaryOffset: 90 },
+    '111-n': { name: '(111) n-type', secondaryOffset: 45 },
+    '111-p': { name: '(111) p-type', secondaryOffset: null } // No secondary flat
+};
+
+/**
+ * Nominal flat lengths in mm for the wafer sizes that carry two flats (SEMI M1)
+ */
+const SEMI_FLAT_LENGTHS = [
+    { diameter: 100, primary: 32.5, secondary: 18 },
+    { diameter: 125, primary: 42.5, secondary: 27.5 },
+    { diameter: 150, primary: 57.5, secondary: 37.5 }
+];
+
+/**
+ * Default angle subtended by a secondary flat when no SEMI length applies
+ */
+const DEFAULT_SECONDARY_FLAT_ANGLE = 20;
+
+/**
+ * Builds the wafer parameters for a SEMI flat preset
+ * @param {string} presetKey - Key into SEMI_FLAT_PRESETS
+ * @param {Object} waferParams - Current wafer parameters
+ * @returns {Object|null} Wafer parameter updates, or null for an unknown preset
+ */
+function getFlatPresetParams(presetKey, waferParams) {
+    const preset = SEMI_FLAT_PRESETS[presetKey];
+    if (!preset) return null;
+    
+    const updates = {
+        waferType: 'flat',
+        flatPreset: presetKey,
+        secondaryFlatOffset: preset.secondaryOffset !== null ? preset.secondaryOffset : waferParams.secondaryFlatOffset
+    };
+    
+    // Use the nominal flat lengths when the diameter is close to a SEMI size (4" = 101.6 mm counts as 100 mm)
+    const lengths = SEMI_FLAT_LENGTHS.find(entry => Math.abs(entry.diameter - waferParams.diameter) <= 2);
+    
+    if (lengths) {
+        updates.flatSizeMode = 'length';
+        updates.flatLength = lengths.primary;
+        updates.secondaryFlatLength = preset.secondaryOffset !== null ? lengths.secondary : 0;
+    } else {
+        updates.flatSizeMode = 'angle';
+        updates.flatAngle = waferParams.flatAngle;
+        updates.secondaryFlatAngle = preset.secondaryOffset !== null ?
+            (waferParams.secondaryFlatAngle || DEFAULT_SECONDARY_FLAT_ANGLE) : 0;
+    }
+    
+    return updates;
+}
+
+/**
+ * Converts a flat's chord length to the angle it subtends
+ * @param {number} flatLength - Chord length of the flat in mm
+ * @param {number} diameter - Diameter of the wafer in mm
+ * @returns {number} Subtended angle in degrees
+ */
+function flatLengthToAngle(flatLength, diameter) {
+    return 2 * Math.asin(Math.min(1, flatLength / diameter)) * 180 / Math.PI;
+}
+
+/**
+ * Converts the angle subtended by a flat to its chord length
+ * @param {number} flatAngle - Subtended angle in degrees
+ * @param {number} diameter - Diameter of the wafer in mm
+ * @returns {number} Chord length of the flat in mm
+ */
+function flatAngleToLength(flatAngle, diameter) {
+    return diameter * Math.sin(flatAngle * Math.PI / 360);
+}
+
+/**
+ * Finds the SEMI preset matching a secondary flat definition
+ * @param {number} secondaryFlatAngle - Angle subtended by the secondary flat in degrees
+ * @param {number} secondaryFlatOffset - Clockwise offset from the primary flat in degrees
+ * @returns {string} Preset key, or 'custom' if none matches
+ */
+function matchFlatPreset(secondaryFlatAngle, secondaryFlatOffset) {
+    const hasSecondary = secondaryFlatAngle > 0;
+    const offset = ((secondaryFlatOffset % 360) + 360) % 360;
+    
+    for (const [key, preset] of Object.entries(SEMI_FLAT_PRESETS)) {
+        if (preset.secondaryOffset === null ? !hasSecondary :
+            hasSecondary && preset.secondaryOffset === offset) {
+            return key;
+        }
+    }
+    
+    return 'custom';
+}
+
+/**
+ * Substrate shapes that are cut from a round wafer and keep its flats or notch
+ */
+const WAFER_PIECE_SPANS = {
+    circle: 360,
+    half: 180,
+    quarter: 90
+};
+
+/**
+ * Calculates the size of the square, centered on the origin, that holds the substrate
+ * @param {Object} waferParams - Parameters for the wafer
+ * @returns {number} Side of the square in mm
+ */
+function getSubstrateExtent(waferParams) {
+    const shape = waferParams.shape || 'circle';
+    
+    if (shape === 'square') {
+        return waferParams.substrateWidth;
+    }
+    
+    if (shape === 'rectangle') {
+        return Math.max(waferParams.substrateWidth, waferParams.substrateHeight);
+    }
+    
+    return waferParams.diameter;
+}
+
+/**
+ * Calculates the straight edges of a square or rectangular substrate centered on the origin
+ * @param {number} width - Width of the substrate in mm
+ * @param {number} height - Height of the substrate in mm
+ * @param {number} chamfer - Leg length of the 45 degree corner chamfers in mm (0 = sharp corners)
+ * @returns {Array} Edges as half-planes {normal, distance}
+ */
+function getRectangleCuts(width, height, chamfer) {
+    const cuts = [
+        { normal: { x: 1, y: 0 }, distance: width / 2 },
+        { normal: { x: 0, y: 1 }, distance: height / 2 },
+        { normal: { x: -1, y: 0 }, distance: width / 2 },
+        { normal: { x: 0, y: -1 }, distance: height / 2 }
+    ];
+    
+    // A chamfer cuts each corner along its diagonal, at most up to the middle of the shorter side
+    const legLength = Math.min(chamfer || 0, Math.min(width, height) / 2);
+    if (legLength > 0) {
+        [[1, 1], [-1, 1], [-1, -1], [1, -1]].forEach(([sx, sy]) => {
+            cuts.push({
+                normal: { x: sx * Math.SQRT1_2, y: sy * Math.SQRT1_2 },
+                distance: (width / 2 + height / 2 - legLength) * Math.SQRT1_2
+            });
+        });
+    }
+    
+    return cuts;
+}
+
+/**
+ * Calculates the cleave lines through the wafer center that bound a half or quarter wafer
+ * @param {number} span - Angle covered by the piece in degrees (180 or 90)
+ * @param {number} pieceAngle - Direction of the middle of the piece in degrees (0 = right, 90 = bottom)
+ * @returns {Array} Edges as half-planes {normal, distance}
+ */
+function getPieceCuts(span, pieceAngle) {
+    // Each cleave line keeps the side facing a quarter turn into the piece from its end
+    const inward = [pieceAngle - span / 2 + 90, pieceAngle + span / 2 - 90];
+    if (span === 180) inward.pop();
+    
+    return inward.map(angle => {
+        const rad = angle * Math.PI / 180;
+        return { normal: { x: -Math.cos(rad), y: -Math.sin(rad) }, distance: 0 };
+    });
+}
+
+/**
+ * Builds the outline description of the wafer from its parameters
+ * @param {Object} waferParams - Parameters for the wafer
+ * @param {string} [waferParams.shape='circle'] - 'circle', 'half' or 'quarter' wafer, or a 'square' or 'rectangle' substrate
+ * @param {number} [waferParams.substrateWidth] - Width of a square or rectangular substrate in mm
+ * @param {number} [waferParams.substrateHeight] - Height of a rectangular substrate in mm
+ * @param {number} [waferParams.chamfer] - Corner chamfer of a square or rectangular substrate in mm
+ * @param {number} [waferParams.pieceAngle] - Direction of the middle of a half or quarter wafer in degrees
+ * @param {number} waferParams.diameter - Diameter of the wafer in mm
+ * @param {string} waferParams.waferType - 'flat', 'notch' or 'none'
+ * @param {number} waferParams.flatAngle - Angle subtended by the flat edge in degrees
+ * @param {number} waferParams.orientation - Direction of the flat or notch in degrees (0 = right, 90 = bottom)
+ * @param {number} waferParams.secondaryFlatAngle - Angle subtended by the secondary flat in degrees (0 = none)
+ * @param {number} waferParams.secondaryFlatOffset - Clockwise offset of the secondary flat from the primary in degrees
+ * @returns {Object} Outline with radius (null for rectangular substrates), flats, optional notch
+ *     and the straight substrate edges as cuts {normal, distance, usableDistance}
+ */
+function getWaferOutline(waferParams) {
+    const waferRadius = waferParams.diameter / 2;
+    const orientation = waferParams.orientation !== undefined ? waferParams.orientation : 180;
+    const waferType = waferParams.waferType || 'flat';
+    const shape = waferParams.shape || 'circle';
+    const excludedRadius = waferParams.excludedRadius || 0;
+    
+    const outline = {
+        shape: shape,
+        radius: waferRadius,
+        flats: [],
+        notch: null,
+        cuts: []
+    };
+    
+    // Square and rectangular substrates are bounded by straight edges only
+    if (shape === 'square' || shape === 'rectangle') {
+        const width = waferParams.substrateWidth;
+        const height = shape === 'square' ? width : waferParams.substrateHeight;
+        
+        outline.radius = null;
+        outline.cuts = getRectangleCuts(width, height, waferParams.chamfer);
+    } else if (WAFER_PIECE_SPANS[shape] < 360) {
+        outline.cuts = getPieceCuts(WAFER_PIECE_SPANS[shape], waferParams.pieceAngle || 0);
+    }
+    
+    // The edge exclusion applies along the straight edges as well
+    outline.cuts.forEach(cut => {
+        cut.usableDistance = cut.distance - excludedRadius;
+    });
+    
+    if (outline.radius === null) {
+        return outline;
+    }
+    
+    if (waferType === 'notch') {
+        outline.notch = getNotchGeometry(waferRadius, orientation);
+    } else if (waferType === 'flat') {
+        if (waferParams.flatAngle > 0) {
+            outline.flats.push(getFlatCutoff(waferRadius, waferParams.flatAngle, orientation));
+        }
+        
+        if (waferParams.secondaryFlatAngle > 0) {
+            outline.flats.push(getFlatCutoff(
+                waferRadius,
+                waferParams.secondaryFlatAngle,
+                orientation + (waferParams.secondaryFlatOffset || 0)
+            ));
+        }
+    }
+    
+    return outline;
+}
+
+/**
+ * Calculates parameters for a flat edge of the wafer
  * @param {number} waferRadius - Radius of the wafer in mm
  * @param {number} flatAngleDeg - Angle subtended by the flat edge in degrees
+ * @param {number} [orientationDeg=180] - Direction of the flat's midpoint in degrees (180 = left)
  * @returns {Object} Parameters defining the flat edge
  */
-function getFlatCutoff(waferRadius, flatAngleDeg) {
-    // Convert angle to radians
+function getFlatCutoff(waferRadius, flatAngleDeg, orientationDeg = 180) {
+    // Convert angles to radians
     const flatAngleRad = flatAngleDeg * Math.PI / 180;
+    const orientationRad = orientationDeg * Math.PI / 180;
+    const halfAngle = flatAngleRad / 2;
+    
+    // Points beyond this distance from the center along the normal are cut off
+    const distance = waferRadius * Math.cos(halfAngle);
+    
+    return {
+        normal: { x: Math.cos(orientationRad), y: Math.sin(orientationRad) },
+        distance: distance,
+        halfChord: waferRadius * Math.sin(halfAngle),
+        startAngle: orientationRad - halfAngle,
+        endAngle: orientationRad + halfAngle,
+        start: polarPoint(waferRadius, orientationRad - halfAngle),
+        end: polarPoint(waferRadius, orientationRad + halfAngle)
+    };
+}
+
+/**
+ * Calculates the V-shaped notch on the wafer edge
+ * @param {number} waferRadius - Radius of the wafer in mm
+ * @param {number} orientationDeg - Direction of the notch in degrees
+ * @returns {Object} Parameters defining the notch
+ */
+function getNotchGeometry(waferRadius, orientationDeg) {
+    const orientationRad = orientationDeg * Math.PI / 180;
+    const apexRadius = waferRadius - SEMI_NOTCH.depth;
+    const halfOpening = SEMI_NOTCH.angle * Math.PI / 360;
     
-    // Calculate the x-coordinate of the flat edge (left side of wafer)
-    const flatXCutoff = -waferRadius * Math.cos(flatAngleRad / 2);
+    // Distance along each side of the V from the apex to the wafer edge
+    const c = Math.cos(halfOpening);
+    const side = -apexRadius * c +
+        Math.sqrt(apexRadius * apexRadius * c * c + waferRadius * waferRadius - apexRadius * apexRadius);
     
-    // Calculate the maximum y extent of the flat edge
-    const flatYMax = waferRadius * Math.sin(flatAngleRad / 2);
+    // Angle on the wafer edge between the notch center and either side
+    const edgeHalfAngle = Math.atan2(side * Math.sin(halfOpening), apexRadius + side * c);
     
+    const apex = polarPoint(apexRadius, orientationRad);
+    const start = polarPoint(waferRadius, orientationRad - edgeHalfAngle);
+    const end = polarPoint(waferRadius, orientationRad + edgeHalfAngle);
+    
+    return {
+        apex: apex,
+        startAngle: orientationRad - edgeHalfAngle,
+        endAngle: orientationRad + edgeHalfAngle,
+        start: start,
+        end: end,
+        points: [start, apex, end]
+    };
+}
+
+/**
+ * Converts polar coordinates to a point
+ * @param {number} radius - Distance from the wafer center in mm
+ * @param {number} angle - Angle in radians
+ * @returns {Object} Point with x and y
+ */
+function polarPoint(radius, angle) {
     return {
-        xCutoff: flatXCutoff,
-        yMax: flatYMax
+        x: radius * Math.cos(angle),
+        y: radius * Math.sin(angle)
     };
 }
 
+/**
+ * Approximates the outline of a wafer piece or substrate by a polygon
+ * @param {Object} outline - Wafer outline from getWaferOutline
+ * @param {number} [inset=0] - Edge exclusion in mm; the usable area leaves out flats and notch
+ * @param {number} [segments=720] - Number of segments used for a full circle
+ * @returns {Array} Polygon vertices as {x, y} objects
+ */
+function getOutlinePolygon(outline, inset = 0, segments = 720) {
+    let polygon;
+    
+    if (outline.radius === null) {
+        // Start from a square around all edges and cut it down
+        const size = 2 * Math.max(...outline.cuts.map(cut => cut.distance));
+        polygon = [
+            { x: -size, y: -size },
+            { x: size, y: -size },
+            { x: size, y: size },
+            { x: -size, y: size }
+        ];
+    } else {
+        const radius = outline.radius - inset;
+        const notch = inset === 0 ? outline.notch : null;
+        const fullTurn = 2 * Math.PI;
+        const normalize = angle => ((angle % fullTurn) + fullTurn) % fullTurn;
+        const inNotch = angle => notch &&
+            normalize(angle - notch.startAngle) < normalize(notch.endAngle - notch.startAngle);
+        
+        polygon = [];
+        for (let i = 0; i < segments; i++) {
+            const angle = notch ? notch.endAngle + fullTurn * i / segments : fullTurn * i / segments;
+            if (!inNotch(angle)) polygon.push(polarPoint(radius, angle));
+        }
+        
+        // The circle walk starts at the end of the notch, so its V closes the polygon
+        if (notch) polygon.push(notch.start, notch.apex);
+        
+        if (inset === 0) {
+            outline.flats.forEach(flat => {
+                polygon = clipPolygonToHalfPlane(polygon, flat.normal, flat.distance);
+            });
+        }
+    }
+    
+    outline.cuts.forEach(cut => {
+        polygon = clipPolygonToHalfPlane(polygon, cut.normal, cut.distance - inset);
+    });
+    
+    return polygon;
+}
+
 /**
  * Determines if a chip is inside the usable wafer area
  * @param {number} x - X-coordinate of chip's bottom-left corner
@@ -115,10 +884,10 @@ function getFlatCutoff(waferRadius, flatAngleDeg) {
  * @param {number} chipWidth - Width of the chip
  * @param {number} chipHeight - Height of the chip
  * @param {number} usableRadius - Usable radius of the wafer
- * @param {Object} flatParams - Parameters defining the flat edge
+ * @param {Object} outline - Wafer outline from getWaferOutline
  * @returns {boolean} True if chip is inside usable wafer area
  */
-function isChipInsideWafer(x, y, chipWidth, chipHeight, usableRadius, flatParams) {
+function isChipInsideWafer(x, y, chipWidth, chipHeight, usableRadius, outline) {
     // Calculate the four corners of the chip
     const corners = [
         { x: x, y: y },                           // Bottom-left
@@ -130,15 +899,282 @@ function isChipInsideWafer(x, y, chipWidth, chipHeight, usableRadius, flatParams
     // Check if any corner is outside the usable circle
     for (const corner of corners) {
         const distanceFromCenter = Math.sqrt(corner.x * corner.x + corner.y * corner.y);
-        if (distanceFromCenter > usableRadius) {
+        if (outline.radius !== null && distanceFromCenter > usableRadius) {
             return false;
         }
         
-        // Check if corner is in the flat edge cutoff area
-        if (corner.x < flatParams.xCutoff && Math.abs(corner.y) < flatParams.yMax) {
-            return false;
+        // Check if corner is beyond a straight substrate edge or its exclusion
+        for (const cut of outline.cuts) {
+            if (corner.x * cut.normal.x + corner.y * cut.normal.y > cut.usableDistance) {
+                return false;
+            }
+        }
+        
+        // Check if corner is in a flat edge cutoff area
+        for (const flat of outline.flats) {
+            if (corner.x * flat.normal.x + corner.y * flat.normal.y > flat.distance) {
+                return false;
+            }
         }
     }
     
+    // The notch bites into the edge, so check the chip against its triangle
+    if (outline.notch && rectIntersectsPolygon(x, y, chipWidth, chipHeight, outline.notch.points)) {
+        return false;
+    }
+    
     return true;
+}
+
+/**
+ * Determines if a chip is shown on the map, i.e. a full or partial die
+ * @param {Object} chip - Chip object
+ * @returns {boolean} True for full and partial dies
+ */
+function isChipOnMap(chip) {
+    return chip.status === 'full' || chip.status === 'partial';
+}
+
+/**
+ * Determines if a chip overlaps any keep-out zone
+ * @param {number} x - X-coordinate of chip's bottom-left corner
+ * @param {number} y - Y-coordinate of chip's bottom-left corner
+ * @param {number} chipWidth - Width of the chip
+ * @param {number} chipHeight - Height of the chip
+ * @param {Array} [zones] - Keep-out zones: {type: 'rect', x, y, width, height},
+ *     {type: 'circle', cx, cy, r} or {type: 'polygon', points: [{x, y}, ...]}
+ * @returns {boolean} True if the chip touches a zone
+ */
+function overlapsKeepOutZone(x, y, chipWidth, chipHeight, zones) {
+    if (!zones || zones.length === 0) return false;
+    
+    return zones.some(zone => {
+        if (zone.type === 'rect') {
+            return x < zone.x + zone.width && x + chipWidth > zone.x &&
+                y < zone.y + zone.height && y + chipHeight > zone.y;
+        }
+        
+        if (zone.type === 'circle') {
+            // Closest point of the chip to the circle center
+            const px = Math.max(x, Math.min(zone.cx, x + chipWidth));
+            const py = Math.max(y, Math.min(zone.cy, y + chipHeight));
+            const dx = px - zone.cx;
+            const dy = py - zone.cy;
+            return dx * dx + dy * dy < zone.r * zone.r;
+        }
+        
+        if (zone.type === 'polygon' && zone.points && zone.points.length >= 3) {
+            return rectIntersectsPolygon(x, y, chipWidth, chipHeight, zone.points);
+        }
+        
+        return false;
+    });
+}
+
+/**
+ * Classifies a chip against the wafer edge
+ * @param {number} x - X-coordinate of chip's bottom-left corner
+ * @param {number} y - Y-coordinate of chip's bottom-left corner
+ * @param {number} chipWidth - Width of the chip
+ * @param {number} chipHeight - Height of the chip
+ * @param {number} usableRadius - Usable radius of the wafer
+ * @param {Object} outline - Wafer outline from getWaferOutline
+ * @returns {string} 'full' inside the usable area, 'partial' if it still touches the wafer, else 'outside'
+ */
+function classifyChip(x, y, chipWidth, chipHeight, usableRadius, outline) {
+    if (isChipInsideWafer(x, y, chipWidth, chipHeight, usableRadius, outline)) {
+        return 'full';
+    }
+    
+    return isChipOnWafer(x, y, chipWidth, chipHeight, outline) ? 'partial' : 'outside';
+}
+
+/**
+ * Determines if any part of a chip lies on the physical wafer
+ * @param {number} x - X-coordinate of chip's bottom-left corner
+ * @param {number} y - Y-coordinate of chip's bottom-left corner
+ * @param {number} chipWidth - Width of the chip
+ * @param {number} chipHeight - Height of the chip
+ * @param {Object} outline - Wafer outline from getWaferOutline
+ * @returns {boolean} True if the chip overlaps the wafer
+ */
+function isChipOnWafer(x, y, chipWidth, chipHeight, outline) {
+    let polygon = [
+        { x: x, y: y },
+        { x: x + chipWidth, y: y },
+        { x: x + chipWidth, y: y + chipHeight },
+        { x: x, y: y + chipHeight }
+    ];
+    
+    // Cut away whatever lies beyond the flats and straight edges
+    for (const edge of outline.flats.concat(outline.cuts)) {
+        polygon = clipPolygonToHalfPlane(polygon, edge.normal, edge.distance);
+        if (polygon.length < 3 || polygonArea(polygon) < 1e-9) return false;
+    }
+    
+    // Rectangular substrates have no round edge
+    if (outline.radius === null) return true;
+    
+    // A chip swallowed by the notch is off the wafer
+    if (outline.notch && polygon.every(p => isPointInPolygon(p.x, p.y, outline.notch.points))) {
+        return false;
+    }
+    
+    return polygonIntersectsCircle(polygon, outline.radius);
+}
+
+/**
+ * Clips a convex polygon to the half-plane normal . p <= distance
+ * @param {Array} points - Polygon vertices as {x, y} objects
+ * @param {Object} normal - Unit normal pointing out of the kept side
+ * @param {number} distance - Distance of the clipping line from the origin
+ * @returns {Array} Vertices of the clipped polygon (empty if nothing remains)
+ */
+function clipPolygonToHalfPlane(points, normal, distance) {
+    const side = p => p.x * normal.x + p.y * normal.y - distance;
+    const result = [];
+    
+    points.forEach((current, index) => {
+        const next = points[(index + 1) % points.length];
+        const currentSide = side(current);
+        const nextSide = side(next);
+        
+        if (currentSide <= 0) result.push(current);
+        
+        // Add the crossing point when the edge passes through the line
+        if ((currentSide < 0 && nextSide > 0) || (currentSide > 0 && nextSide < 0)) {
+            const t = currentSide / (currentSide - nextSide);
+            result.push({
+                x: current.x + t * (next.x - current.x),
+                y: current.y + t * (next.y - current.y)
+            });
+        }
+    });
+    
+    return result;
+}
+
+/**
+ * Calculates the area of a simple polygon
+ * @param {Array} points - Polygon vertices as {x, y} objects
+ * @returns {number} Area (always positive)
+ */
+function polygonArea(points) {
+    let area = 0;
+    points.forEach((a, index) => {
+        const b = points[(index + 1) % points.length];
+        area += a.x * b.y - b.x * a.y;
+    });
+    return Math.abs(area) / 2;
+}
+
+/**
+ * Determines if a polygon overlaps a circle centered on the origin
+ * @param {Array} points - Polygon vertices as {x, y} objects
+ * @param {number} radius - Radius of the circle
+ * @returns {boolean} True if the interiors overlap
+ */
+function polygonIntersectsCircle(points, radius) {
+    // The wafer center lies inside the polygon
+    if (isPointInPolygon(0, 0, points)) return true;
+    
+    // Otherwise some edge must come closer to the center than the radius
+    return points.some((a, index) => {
+        const b = points[(index + 1) % points.length];
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared > 0 ?
+            Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared)) : 0;
+        const px = a.x + t * dx;
+        const py = a.y + t * dy;
+        return px * px + py * py < radius * radius;
+    });
+}
+
+/**
+ * Determines if a rectangle overlaps a polygon
+ * @param {number} x - X-coordinate of the rectangle's bottom-left corner
+ * @param {number} y - Y-coordinate of the rectangle's bottom-left corner
+ * @param {number} width - Width of the rectangle
+ * @param {number} height - Height of the rectangle
+ * @param {Array} points - Polygon vertices as {x, y} objects
+ * @returns {boolean} True if the interiors overlap
+ */
+function rectIntersectsPolygon(x, y, width, height, points) {
+    // Cheap rejection when the bounding boxes don't overlap
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    if (Math.max(...xs) <= x || Math.min(...xs) >= x + width ||
+        Math.max(...ys) <= y || Math.min(...ys) >= y + height) {
+        return false;
+    }
+    
+    const rectPoints = [
+        { x: x, y: y },
+        { x: x + width, y: y },
+        { x: x + width, y: y + height },
+        { x: x, y: y + height }
+    ];
+    
+    // A polygon vertex inside the rectangle
+    if (points.some(p => p.x > x && p.x < x + width && p.y > y && p.y < y + height)) {
+        return true;
+    }
+    
+    // A rectangle corner inside the polygon
+    if (rectPoints.some(p => isPointInPolygon(p.x, p.y, points))) {
+        return true;
+    }
+    
+    // Crossing edges
+    for (let i = 0; i < points.length; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        for (let j = 0; j < rectPoints.length; j++) {
+            const c = rectPoints[j];
+            const d = rectPoints[(j + 1) % rectPoints.length];
+            if (segmentsCross(a, b, c, d)) return true;
+        }
+    }
+    
+    return false;
+}
+
+/**
+ * Determines if a point lies inside a polygon (even-odd rule)
+ * @param {number} px - X-coordinate of the point
+ * @param {number} py - Y-coordinate of the point
+ * @param {Array} points - Polygon vertices as {x, y} objects
+ * @returns {boolean} True if the point is inside
+ */
+function isPointInPolygon(px, py, points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        if ((a.y > py) !== (b.y > py) &&
+            px < (b.x - a.x) * (py - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Determines if two line segments properly cross each other
+ * @param {Object} a - Start of the first segment
+ * @param {Object} b - End of the first segment
+ * @param {Object} c - Start of the second segment
+ * @param {Object} d - End of the second segment
+ * @returns {boolean} True if the segments cross
+ */
+function segmentsCross(a, b, c, d) {
+    const cross = (o, p, q) => (p.x - o.x) * (q.y - o.y) - (p.y - o.y) * (q.x - o.x);
+    const d1 = cross(c, d, a);
+    const d2 = cross(c, d, b);
+    const d3 = cross(a, b, c);
+    const d4 = cross(a, b, d);
+    return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+        ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
 }
\ No newline at end of file
@@ -10,99 +10,609 @@ const ChipInteraction = (function() {
     // Flag to track if drag operation is active
     let isDragging = false;
     
+    // Active tool: 'paint', 'rect', 'lasso', 'row', 'column', 'ring' or 'flood' to select, or 'inspect'
+    let toolMode = 'paint';
+    
+    // Pointer driving the current stroke or selection gesture
+    let activePointerId = null;
+    
+    // Selection gesture in progress: outline points in wafer mm and how it combines with the selection
+    let selectionGesture = null;
+    
+    // View drag in progress, holding the wafer mm point grabbed
+    let panGesture = null;
+    
+    // Positions of the fingers on the map, by pointer ID
+    const touchPoints = new Map();
+    
+    // Midpoint and finger distance of a two finger pinch in progress
+    let pinchSpan = null;
+    
+    // Pointerdown of a finger held back until it moves or lifts, so that a second finger can still pinch
+    let pendingTouch = null;
+    
+    // Distance in pixels a held back finger moves before it starts painting
+    const TOUCH_SLOP = 8;
+    
     /**
-     * Handle click on a chip
-     * @param {Event} event - Click event
+     * Paint chips with the current bin and redraw what changed
+     * @param {Array} chipIds - IDs of the chips to paint
+     * @param {number|null} binCode - Bin code (null = unbinned)
      */
-    function handleChipClick(event) {
-        const chipGroup = findChipGroupFromEvent(event);
-        if (!chipGroup) return;
-        
-        const chipId = parseInt(chipGroup.getAttribute('data-chip-id'), 10);
-        if (isNaN(chipId)) return;
+    function applyBin(chipIds, binCode) {
+        const changedIds = WaferState.paintChips(chipIds, binCode);
+        if (changedIds.length === 0) return;
         
+        SvgRenderer.updateChipBins(changedIds);
+        Controls.updateBinStatistics();
+        Controls.updateHistoryButtons();
+        SvgRenderer.updateLegend(WaferState.getAllChips());
+        Controls.updateInspector();
+    }
+    
+    /**
+     * Paint a chip, or every die of its shot, with the current bin
+     * Dies of other products are skipped when a paint product is selected.
+     * @param {number} chipId - ID of the chip under the cursor
+     */
+    function paintChip(chipId) {
         const labelParams = WaferState.getLabelParams();
         
-        // Update chip in state
-        WaferState.updateChip(chipId, {
-            color: labelParams.color,
-            label: labelParams.label
-        });
+        const chip = WaferState.getChipById(chipId);
+        if (!chip) return;
         
-        // Update visual representation
-        SvgRenderer.updateChipVisual(chipId, {
-            color: labelParams.color,
-            label: labelParams.label
-        });
+        let chips = [chip];
+        if (labelParams.paintTarget === 'shot' && chip.shotId !== null && chip.shotId !== undefined) {
+            chips = WaferState.getAllChips()
+                .filter(c => c.shotId === chip.shotId && isChipOnMap(c));
+        }
+        
+        // Leave dies of other products untouched when painting a single product
+        if (labelParams.paintProduct) {
+            chips = chips.filter(c => c.product === labelParams.paintProduct);
+        }
+        
+        // Erasing leaves the chips unbinned
+        const bin = WaferState.getBin(labelParams.bin);
+        applyBin(chips.map(c => c.id), bin ? bin.code : null);
     }
     
     /**
-     * Handle start of drag operation
-     * @param {Event} event - Mousedown event
+     * Get the center of a chip
+     * @param {Object} chip - Chip object
+     * @returns {Object} Point with x and y
      */
-    function handleDragStart(event) {
-        const chipGroup = findChipGroupFromEvent(event);
-        if (!chipGroup) return;
+    function chipCenter(chip) {
+        return { x: chip.x + chip.width / 2, y: chip.y + chip.height / 2 };
+    }
+    
+    /**
+     * Find the dies on the map whose centers lie inside a polygon
+     * @param {Array} points - Polygon vertices in wafer mm
+     * @returns {Array} IDs of the enclosed chips
+     */
+    function findChipsInPolygon(points) {
+        if (points.length < 3) return [];
         
-        isDragging = true;
-        svgContainer.addEventListener('mousemove', handleDragMove);
-        svgContainer.addEventListener('mouseup', handleDragEnd);
+        return WaferState.getAllChips()
+            .filter(chip => {
+                const center = chipCenter(chip);
+                return isChipOnMap(chip) && isPointInPolygon(center.x, center.y, points);
+            })
+            .map(chip => chip.id);
+    }
+    
+    /**
+     * Find the dies that belong with a clicked die for the row, column, ring and flood fill tools
+     * Rows and columns take every die level with the clicked one, rings every die at the same distance
+     * from the wafer center (in steps of the die pitch), and flood fill the neighbouring dies of the same
+     * bin and product reachable from it.
+     * @param {Object} chip - Clicked chip
+     * @param {string} mode - 'row', 'column', 'ring' or 'flood'
+     * @returns {Array} IDs of the matching chips
+     */
+    function findRelatedChips(chip, mode) {
+        const onMap = WaferState.getAllChips().filter(isChipOnMap);
+        const center = chipCenter(chip);
         
-        // Prevent text selection during drag
-        event.preventDefault();
+        if (mode === 'row') {
+            return onMap.filter(c => c.y <= center.y && center.y < c.y + c.height).map(c => c.id);
+        }
+        
+        if (mode === 'column') {
+            return onMap.filter(c => c.x <= center.x && center.x < c.x + c.width).map(c => c.id);
+        }
+        
+        if (mode === 'ring') {
+            const chipParams = WaferState.getChipParams();
+            const ringWidth = Math.max(chipParams.pitchX, chipParams.pitchY);
+            const ringOf = c => {
+                const p = chipCenter(c);
+                return Math.floor(Math.sqrt(p.x * p.x + p.y * p.y) / ringWidth);
+            };
+            const ring = ringOf(chip);
+            return onMap.filter(c => ringOf(c) === ring).map(c => c.id);
+        }
+        
+        // Flood fill steps between grid neighbours, or block neighbours within one block
+        const cellKey = c => c.block !== undefined ?
+            `b${c.block}:${c.blockCol},${c.blockRow}` : `g:${c.col},${c.row}`;
+        const neighbourKeys = c => c.block !== undefined ?
+            [[1, 0], [-1, 0], [0, 1], [0, -1]].map(([dc, dr]) => `b${c.block}:${c.blockCol + dc},${c.blockRow + dr}`) :
+            [[1, 0], [-1, 0], [0, 1], [0, -1]].map(([dc, dr]) => `g:${c.col + dc},${c.row + dr}`);
+        
+        const byCell = new Map(onMap.map(c => [cellKey(c), c]));
+        const found = new Set([chip.id]);
+        const queue = [chip];
+        
+        while (queue.length > 0) {
+            const current = queue.shift();
+            neighbourKeys(current).forEach(key => {
+                const neighbour = byCell.get(key);
+                if (neighbour && !found.has(neighbour.id) &&
+                    neighbour.bin === chip.bin && neighbour.product === chip.product) {
+                    found.add(neighbour.id);
+                    queue.push(neighbour);
+                }
+            });
+        }
+        
+        return [...found];
     }
     
     /**
-     * Handle drag movement
-     * @param {Event} event - Mousemove event
+     * Combine picked chips with the selection
+     * Shift adds to the selection, Ctrl (Cmd on a Mac) removes from it, otherwise the pick replaces it.
+     * @param {Array} chipIds - IDs of the picked chips
+     * @param {string} combine - 'replace', 'add' or 'remove'
      */
-    function handleDragMove(event) {
-        if (!isDragging) return;
+    function updateSelection(chipIds, combine) {
+        let selection;
+        if (combine === 'add') {
+            selection = new Set([...WaferState.getSelection(), ...chipIds]);
+        } else if (combine === 'remove') {
+            const removed = new Set(chipIds);
+            selection = WaferState.getSelection().filter(id => !removed.has(id));
+        } else {
+            selection = chipIds;
+        }
         
-        const chipGroup = findChipGroupFromEvent(event);
-        if (!chipGroup) return;
+        WaferState.setSelection([...selection]);
+        SvgRenderer.updateSelection();
+        Controls.updateSelectionControls();
+    }
+    
+    /**
+     * Tell how a selection gesture combines with the current selection
+     * @param {Event} event - Mouse event with the modifier keys
+     * @returns {string} 'replace', 'add' or 'remove'
+     */
+    function getSelectionCombine(event) {
+        if (event.shiftKey) return 'add';
+        if (event.ctrlKey || event.metaKey) return 'remove';
+        return 'replace';
+    }
+    
+    /**
+     * Find the die drawn under a screen position
+     * Hit-testing by coordinate rather than by event target lets touch and pen strokes, which keep
+     * their original target, paint every die they cross.
+     * @param {number} clientX - Horizontal position in client pixels
+     * @param {number} clientY - Vertical position in client pixels
+     * @returns {Object|null} The chip under the position or null
+     */
+    function findChipAt(clientX, clientY) {
+        const point = SvgRenderer.clientToMap(clientX, clientY);
+        if (!point) return null;
         
-        const chipId = parseInt(chipGroup.getAttribute('data-chip-id'), 10);
-        if (isNaN(chipId)) return;
+        // Later chips are drawn on top, so the last match is the visible one
+        const chips = WaferState.getAllChips();
+        for (let i = chips.length - 1; i >= 0; i--) {
+            const chip = chips[i];
+            if (isChipOnMap(chip) &&
+                point.x >= chip.x && point.x < chip.x + chip.width &&
+                point.y >= chip.y && point.y < chip.y + chip.height) {
+                return chip;
+            }
+        }
         
-        const labelParams = WaferState.getLabelParams();
+        return null;
+    }
+    
+    /**
+     * Get every position a pointer passed since its last event
+     * Pens and fast fingers report several positions per event, which would otherwise skip dies.
+     * @param {PointerEvent} event - Pointermove event
+     * @returns {Array} Pointer events to process in order
+     */
+    function getPointerSamples(event) {
+        const samples = event.getCoalescedEvents ? event.getCoalescedEvents() : [];
+        return samples.length > 0 ? samples : [event];
+    }
+    
+    /**
+     * Start a rubber band or lasso selection
+     * @param {PointerEvent} event - Pointerdown event
+     */
+    function handleSelectStart(event) {
+        const point = SvgRenderer.clientToMap(event.clientX, event.clientY);
+        if (!point) return;
+        
+        selectionGesture = {
+            points: [point],
+            combine: getSelectionCombine(event)
+        };
+    }
+    
+    /**
+     * Get the outline of the selection gesture in progress
+     * @returns {Array} Polygon in wafer mm
+     */
+    function getGestureOutline() {
+        const points = selectionGesture.points;
+        if (toolMode === 'lasso') return points;
         
-        // Update chip in state
-        WaferState.updateChip(chipId, {
-            color: labelParams.color,
-            label: labelParams.label
+        // The rubber band spans the start and latest points
+        const start = points[0];
+        const end = points[points.length - 1];
+        return [
+            { x: start.x, y: start.y },
+            { x: end.x, y: start.y },
+            { x: end.x, y: end.y },
+            { x: start.x, y: end.y }
+        ];
+    }
+    
+    /**
+     * Extend the rubber band or lasso
+     * @param {PointerEvent} event - Pointermove event
+     */
+    function handleSelectMove(event) {
+        getPointerSamples(event).forEach(sample => {
+            const point = SvgRenderer.clientToMap(sample.clientX, sample.clientY);
+            if (!point) return;
+            
+            if (toolMode === 'lasso') {
+                selectionGesture.points.push(point);
+            } else {
+                selectionGesture.points = [selectionGesture.points[0], point];
+            }
         });
         
-        // Update visual representation
-        SvgRenderer.updateChipVisual(chipId, {
-            color: labelParams.color,
-            label: labelParams.label
+        SvgRenderer.drawSelectionBand(getGestureOutline());
+    }
+    
+    /**
+     * Finish the rubber band or lasso and select the dies inside it
+     * @param {boolean} cancelled - True when the gesture was interrupted and selects nothing
+     */
+    function handleSelectEnd(cancelled) {
+        SvgRenderer.clearSelectionBand();
+        if (!cancelled) {
+            updateSelection(findChipsInPolygon(getGestureOutline()), selectionGesture.combine);
+        }
+        selectionGesture = null;
+    }
+    
+    /**
+     * Start painting with the pointer
+     * The stroke may start off the wafer; dies are painted as soon as the pointer reaches them.
+     * @param {PointerEvent} event - Pointerdown event
+     */
+    function handleDragStart(event) {
+        isDragging = true;
+        WaferState.beginStroke();
+        
+        const chip = findChipAt(event.clientX, event.clientY);
+        if (chip) paintChip(chip.id);
+    }
+    
+    /**
+     * Paint every die the pointer crosses
+     * @param {PointerEvent} event - Pointermove event
+     */
+    function handleDragMove(event) {
+        getPointerSamples(event).forEach(sample => {
+            const chip = findChipAt(sample.clientX, sample.clientY);
+            if (chip) paintChip(chip.id);
         });
     }
     
     /**
-     * Handle end of drag operation
+     * Finish the paint stroke
      */
     function handleDragEnd() {
         isDragging = false;
-        svgContainer.removeEventListener('mousemove', handleDragMove);
-        svgContainer.removeEventListener('mouseup', handleDragEnd);
+        
+        // The whole stroke is undone in one step
+        WaferState.endStroke();
+        Controls.updateHistoryButtons();
+    }
+    
+    /**
+     * Keep receiving a pointer's events while it is outside the map
+     * Capturing lets a stroke leave the SVG and come back, and still ends it when released elsewhere.
+     * @param {PointerEvent} event - Pointerdown event
+     */
+    function capturePointer(event) {
+        activePointerId = event.pointerId;
+        svgContainer.setPointerCapture(event.pointerId);
+        
+        // Prevent text selection and scrolling during the gesture
+        event.preventDefault();
     }
     
     /**
-     * Find the chip group element from an event
-     * @param {Event} event - Event object
-     * @returns {Element|null} The chip group element or null if not found
+     * Start moving the view with the pointer
+     * @param {PointerEvent} event - Pointerdown event
      */
-    function findChipGroupFromEvent(event) {
-        let target = event.target;
+    function handlePanStart(event) {
+        const point = SvgRenderer.clientToMap(event.clientX, event.clientY);
+        if (!point) return;
         
-        while (target && !target.classList.contains('chip-group')) {
-            if (target === svgContainer) return null;
-            target = target.parentElement;
+        // The map point grabbed stays under the pointer while it moves
+        panGesture = { anchor: point };
+        svgContainer.classList.add('panning');
+        capturePointer(event);
+    }
+    
+    /**
+     * Move the view with the pointer
+     * @param {PointerEvent} event - Pointermove event
+     */
+    function handlePanMove(event) {
+        const point = SvgRenderer.clientToMap(event.clientX, event.clientY);
+        if (!point) return;
+        
+        SvgRenderer.panBy(panGesture.anchor.x - point.x, panGesture.anchor.y - point.y);
+    }
+    
+    /**
+     * Finish moving the view
+     */
+    function handlePanEnd() {
+        panGesture = null;
+        svgContainer.classList.remove('panning');
+    }
+    
+    /**
+     * Zoom at the cursor with the wheel or a trackpad pinch
+     * @param {WheelEvent} event - Wheel event
+     */
+    function handleWheel(event) {
+        const point = SvgRenderer.clientToMap(event.clientX, event.clientY);
+        if (!point) return;
+        
+        event.preventDefault();
+        
+        // Lines and pages are converted to pixels so every device zooms at a similar rate
+        const pixels = event.deltaY * (event.deltaMode === 1 ? 16 : event.deltaMode === 2 ? 400 : 1);
+        SvgRenderer.zoomAt(point, Math.exp(-pixels * 0.002));
+    }
+    
+    /**
+     * Get the midpoint of and distance between the two touching fingers
+     * @returns {Object} Midpoint in client pixels as x and y, and distance in pixels
+     */
+    function getPinchSpan() {
+        const [a, b] = [...touchPoints.values()];
+        return {
+            x: (a.x + b.x) / 2,
+            y: (a.y + b.y) / 2,
+            distance: Math.hypot(a.x - b.x, a.y - b.y)
+        };
+    }
+    
+    /**
+     * Start a two finger pinch
+     * A stroke or selection begun by the first finger ends, so the pinch only moves the view.
+     * A first finger still held back has done nothing yet and is dropped.
+     */
+    function handlePinchStart() {
+        if (pendingTouch) {
+            pendingTouch = null;
+        } else if (isDragging) {
+            handleDragEnd();
+        } else if (selectionGesture) {
+            handleSelectEnd(true);
+        } else if (panGesture) {
+            handlePanEnd();
+        }
+        
+        activePointerId = null;
+        pinchSpan = getPinchSpan();
+    }
+    
+    /**
+     * Zoom and move the view with two fingers
+     */
+    function handlePinchMove() {
+        const span = getPinchSpan();
+        const from = SvgRenderer.clientToMap(pinchSpan.x, pinchSpan.y);
+        const to = SvgRenderer.clientToMap(span.x, span.y);
+        if (!from || !to) return;
+        
+        // Follow the midpoint, then zoom around it by the change in finger distance
+        SvgRenderer.panBy(from.x - to.x, from.y - to.y);
+        if (pinchSpan.distance > 0) {
+            SvgRenderer.zoomAt(from, span.distance / pinchSpan.distance);
+        }
+        
+        pinchSpan = span;
+    }
+    
+    /**
+     * Handle pointerdown on the map for the active tool
+     * The middle button, or the primary button with Alt held, moves the view instead.
+     * @param {PointerEvent} event - Pointerdown event
+     */
+    function handlePointerDown(event) {
+        if (event.pointerType === 'touch') {
+            touchPoints.set(event.pointerId, { x: event.clientX, y: event.clientY });
+            
+            if (touchPoints.size === 2) {
+                svgContainer.setPointerCapture(event.pointerId);
+                handlePinchStart();
+                return;
+            }
+        }
+        
+        // One pointer at a time
+        if (activePointerId !== null || pinchSpan) return;
+        
+        if (event.button === 1 || (event.button === 0 && event.altKey)) {
+            handlePanStart(event);
+            return;
+        }
+        
+        if (event.button !== 0) return;
+        
+        // A finger on a paint or click tool waits, as it may be the first finger of a pinch
+        if (event.pointerType === 'touch' && toolMode !== 'rect' && toolMode !== 'lasso') {
+            pendingTouch = event;
+            capturePointer(event);
+            return;
+        }
+        
+        handleToolStart(event);
+        if (isDragging || selectionGesture) capturePointer(event);
+    }
+    
+    /**
+     * Start the active tool at a pointerdown
+     * @param {PointerEvent} event - Pointerdown event
+     */
+    function handleToolStart(event) {
+        if (toolMode === 'paint') {
+            handleDragStart(event);
+        } else if (toolMode === 'rect' || toolMode === 'lasso') {
+            handleSelectStart(event);
+        } else if (toolMode === 'inspect') {
+            const chip = findChipAt(event.clientX, event.clientY);
+            if (chip) Controls.inspectChip(chip.id);
+        } else {
+            // Row, column, ring and flood fill pick from the die under the pointer
+            const chip = findChipAt(event.clientX, event.clientY);
+            if (chip) updateSelection(findRelatedChips(chip, toolMode), getSelectionCombine(event));
+        }
+    }
+    
+    /**
+     * Show the tooltip of the die under a hovering mouse or pen
+     * Touch has no hover, and the tooltip stays out of the way while a gesture is in progress.
+     * @param {PointerEvent} event - Pointermove event
+     */
+    function updateTooltip(event) {
+        const chip = event.pointerType !== 'touch' && activePointerId === null && !pinchSpan ?
+            findChipAt(event.clientX, event.clientY) : null;
+        
+        if (chip) {
+            Controls.showChipTooltip(chip.id, event.clientX, event.clientY);
+        } else {
+            Controls.hideChipTooltip();
+        }
+    }
+    
+    /**
+     * Hide the tooltip when the pointer leaves the map
+     */
+    function handlePointerLeave() {
+        Controls.hideChipTooltip();
+    }
+    
+    /**
+     * Handle pointermove for the gesture in progress
+     * @param {PointerEvent} event - Pointermove event
+     */
+    function handlePointerMove(event) {
+        updateTooltip(event);
+        
+        if (touchPoints.has(event.pointerId)) {
+            touchPoints.set(event.pointerId, { x: event.clientX, y: event.clientY });
+            if (pinchSpan) {
+                if (touchPoints.size >= 2) handlePinchMove();
+                return;
+            }
+        }
+        
+        if (event.pointerId !== activePointerId) return;
+        
+        // A held back finger that moves paints from where it went down; on other tools it is no tap
+        if (pendingTouch) {
+            const start = pendingTouch;
+            if (Math.hypot(event.clientX - start.clientX, event.clientY - start.clientY) < TOUCH_SLOP) return;
+            
+            pendingTouch = null;
+            if (toolMode !== 'paint') return;
+            handleToolStart(start);
+        }
+        
+        if (isDragging) {
+            handleDragMove(event);
+        } else if (selectionGesture) {
+            handleSelectMove(event);
+        } else if (panGesture) {
+            handlePanMove(event);
+        }
+    }
+    
+    /**
+     * Handle the end of the gesture in progress
+     * @param {PointerEvent} event - Pointerup or pointercancel event
+     */
+    function handlePointerEnd(event) {
+        touchPoints.delete(event.pointerId);
+        
+        // The pinch ends when a finger lifts; the other one does nothing until it lifts too
+        if (pinchSpan) {
+            if (touchPoints.size === 0) pinchSpan = null;
+            return;
+        }
+        
+        if (event.pointerId !== activePointerId) return;
+        activePointerId = null;
+        
+        // A held back finger that lifts without moving was a tap
+        if (pendingTouch) {
+            const start = pendingTouch;
+            pendingTouch = null;
+            if (event.type === 'pointercancel') return;
+            handleToolStart(start);
         }
         
-        return target;
+        if (isDragging) {
+            handleDragEnd();
+        } else if (selectionGesture) {
+            handleSelectEnd(event.type === 'pointercancel');
+        } else if (panGesture) {
+            handlePanEnd();
+        }
+    }
+    
+    /**
+     * Copy text from a temporary text area, for browsers without the clipboard API or where it is refused
+     * @param {string} text - Text to copy
+     */
+    function copyWithTextArea(text) {
+        const textArea = document.createElement('textarea');
+        textArea.value = text;
+        document.body.appendChild(textArea);
+        textArea.select();
+        document.execCommand('copy');
+        document.body.removeChild(textArea);
+    }
+    
+    /**
+     * Put text on the clipboard
+     * The clipboard API is refused without focus or permission, which falls back to the text area.
+     * @param {string} text - Text to copy
+     */
+    function copyText(text) {
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(text).catch(() => copyWithTextArea(text));
+        } else {
+            copyWithTextArea(text);
+        }
     }
     
     // Public methods
@@ -127,12 +637,121 @@ const ChipInteraction = (function() {
          * Bind all event listeners
          */
         bindEventListeners: function() {
-            // Click on chips
-            svgContainer.addEventListener('click', handleChipClick);
+            // Pointer events cover mouse, touch and pen alike
+            svgContainer.addEventListener('pointerdown', handlePointerDown);
+            svgContainer.addEventListener('pointermove', handlePointerMove);
+            svgContainer.addEventListener('pointerup', handlePointerEnd);
+            svgContainer.addEventListener('pointercancel', handlePointerEnd);
+            svgContainer.addEventListener('pointerleave', handlePointerLeave);
+            
+            // The wheel zooms the map rather than scrolling the page
+            svgContainer.addEventListener('wheel', handleWheel, { passive: false });
+            
+            return this;
+        },
+        
+        /**
+         * Switch between painting and the selection tools
+         * @param {string} mode - 'paint', 'rect', 'lasso', 'row', 'column', 'ring', 'flood' or 'inspect'
+         */
+        setToolMode: function(mode) {
+            toolMode = mode;
+            svgContainer.classList.toggle('selecting', mode !== 'paint');
+            return this;
+        },
+        
+        /**
+         * Paint every selected die with the current bin as one undo step
+         */
+        paintSelection: function() {
+            const labelParams = WaferState.getLabelParams();
+            let chips = WaferState.getSelection().map(id => WaferState.getChipById(id)).filter(Boolean);
+            
+            // The product filter applies to selections as it does to brushes
+            if (labelParams.paintProduct) {
+                chips = chips.filter(c => c.product === labelParams.paintProduct);
+            }
+            
+            const bin = WaferState.getBin(labelParams.bin);
+            applyBin(chips.map(c => c.id), bin ? bin.code : null);
             
-            // Enable drag to paint
-            svgContainer.addEventListener('mousedown', handleDragStart);
+            return this;
+        },
+        
+        /**
+         * Clear the bin of every selected die as one undo step
+         */
+        clearSelectionBins: function() {
+            applyBin(WaferState.getSelection(), null);
+            return this;
+        },
+        
+        /**
+         * Copy the selected dies to the clipboard as tab-separated text
+         * @returns {string} The copied text
+         */
+        copySelection: function() {
+            const rows = [['Number', 'Col', 'Row', 'X (mm)', 'Y (mm)', 'Product', 'Bin', 'Bin Name']];
+            
+            WaferState.getSelection()
+                .map(id => WaferState.getChipById(id))
+                .filter(Boolean)
+                .sort((a, b) => a.y - b.y || a.x - b.x)
+                .forEach(chip => {
+                    const bin = WaferState.getBin(chip.bin);
+                    const center = chipCenter(chip);
+                    rows.push([
+                        chip.number !== null ? chip.number : '',
+                        Number.isInteger(chip.col) ? chip.col : '',
+                        Number.isInteger(chip.row) ? chip.row : '',
+                        center.x.toFixed(3),
+                        center.y.toFixed(3),
+                        chip.product,
+                        bin ? bin.code : '',
+                        bin ? bin.name : ''
+                    ]);
+                });
+            
+            const text = rows.map(row => row.join('\t')).join('\n');
+            copyText(text);
             
+            return text;
+        },
+        
+        /**
+         * Show the whole wafer
+         */
+        fitToWafer: function() {
+            SvgRenderer.fitToWafer();
+            return this;
+        },
+        
+        /**
+         * Zoom so the selected dies fill the view
+         */
+        zoomToSelection: function() {
+            const chips = WaferState.getSelection().map(id => WaferState.getChipById(id)).filter(Boolean);
+            if (chips.length === 0) return this;
+            
+            // Large selections are walked rather than spread into Math.min
+            const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+            chips.forEach(chip => {
+                bounds.minX = Math.min(bounds.minX, chip.x);
+                bounds.minY = Math.min(bounds.minY, chip.y);
+                bounds.maxX = Math.max(bounds.maxX, chip.x + chip.width);
+                bounds.maxY = Math.max(bounds.maxY, chip.y + chip.height);
+            });
+            
+            SvgRenderer.zoomToBounds(bounds);
+            
+            return this;
+        },
+        
+        /**
+         * Drop the selection
+         */
+        clearSelection: function() {
+            updateSelection([], 'replace');
             return this;
         },
         
@@ -140,13 +759,23 @@ const ChipInteraction = (function() {
          * Remove all event listeners
          */
         removeEventListeners: function() {
-            svgContainer.removeEventListener('click', handleChipClick);
-            svgContainer.removeEventListener('mousedown', handleDragStart);
+            svgContainer.removeEventListener('pointerdown', handlePointerDown);
+            svgContainer.removeEventListener('pointermove', handlePointerMove);
+            svgContainer.removeEventListener('pointerup', handlePointerEnd);
+            svgContainer.removeEventListener('pointercancel', handlePointerEnd);
+            svgContainer.removeEventListener('pointerleave', handlePointerLeave);
+            svgContainer.removeEventListener('wheel', handleWheel);
+            activePointerId = null;
+            selectionGesture = null;
+            panGesture = null;
+            pinchSpan = null;
+            pendingTouch = null;
+            touchPoints.clear();
+            svgContainer.classList.remove('panning');
             
             if (isDragging) {
-                svgContainer.removeEventListener('mousemove', handleDragMove);
-                svgContainer.removeEventListener('mouseup', handleDragEnd);
                 isDragging = false;
+                WaferState.endStroke();
             }
             
             return this;
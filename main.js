@@ -12,17 +12,48 @@ const WaferMapping = (function() {
         const chipParams = WaferState.getChipParams();
         
         // Generate chip grid
-        const chips = generateChipGrid(
-            waferParams, 
-            chipParams.width, 
-            chipParams.height
-        );
+        const chips = generateChipGrid(waferParams, chipParams, WaferState.getLayoutParams());
         
         // Update state with new chips
         WaferState.setChips(chips);
         
         // Render the wafer map
+        renderWaferMap();
+    }
+    
+    /**
+     * Redraw the map after stepping through the history
+     * @param {Object|null} change - Result of WaferState.undo or redo
+     */
+    function showHistoryStep(change) {
+        if (!change) return;
+        
+        if (change.type === 'paint') {
+            // Only the repainted chips need to be redrawn
+            SvgRenderer.updateChipBins(change.chipIds);
+            SvgRenderer.updateLegend(WaferState.getAllChips());
+            Controls.updateBinStatistics();
+            Controls.updateInspector();
+        } else {
+            Controls.updateControlsFromState();
+            renderWaferMap();
+        }
+        
+        Controls.updateHistoryButtons();
+    }
+    
+    /**
+     * Render the chips currently held in state and refresh the die counts
+     */
+    function renderWaferMap() {
+        const chips = WaferState.getAllChips();
+        const waferParams = WaferState.getWaferParams();
+        
         SvgRenderer.renderWafer(chips, waferParams);
+        Controls.updateDieCountReport(chips);
+        Controls.updateBinStatistics();
+        Controls.updateSelectionControls();
+        Controls.updateInspector();
     }
     
     // Public methods
@@ -48,6 +79,42 @@ const WaferMapping = (function() {
          */
         generateMap: function() {
             generateWaferMap();
+            WaferState.recordSnapshot();
+            Controls.updateHistoryButtons();
+            return this;
+        },
+        
+        /**
+         * Redraw the wafer map from state without regenerating the chip grid
+         */
+        renderMap: function() {
+            renderWaferMap();
+            WaferState.recordSnapshot();
+            Controls.updateHistoryButtons();
+            return this;
+        },
+        
+        /**
+         * Redraw the wafer map without recording a history step, for previews while a control is dragged
+         */
+        previewMap: function() {
+            renderWaferMap();
+            return this;
+        },
+        
+        /**
+         * Undo the latest map edit
+         */
+        undo: function() {
+            showHistoryStep(WaferState.undo());
+            return this;
+        },
+        
+        /**
+         * Redo the latest undone map edit
+         */
+        redo: function() {
+            showHistoryStep(WaferState.redo());
             return this;
         }
     };
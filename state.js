@@ -4,11 +4,33 @@
  * State management for the wafer mapping tool
  */
 const WaferState = (function() {
+    // Bin table of new maps
+    const DEFAULT_BINS = [
+        { code: 1, name: 'Pass', color: '#4caf50', pass: true },
+        { code: 2, name: 'Fail', color: '#e53935', pass: false }
+    ];
+    
+    // Colors of bins created for imported bin codes that are not in the bin table
+    const IMPORTED_BIN_COLORS = ['#fdd835', '#1e88e5', '#8e24aa', '#fb8c00', '#00acc1', '#6d4c41', '#d81b60', '#7cb342'];
+    
     // Private state
     let waferParams = {
+        shape: 'circle', // 'circle', 'half' or 'quarter' wafer, 'square' or 'rectangle' substrate
         diameter: 101.6, // Changed to 101.6mm
+        waferType: 'flat', // 'flat', 'notch' or 'none'
         flatAngle: 30,
+        flatLength: 0, // Chord length of the flat in mm, kept in sync with flatAngle
+        flatSizeMode: 'angle', // Which of angle or length was entered and drives the other
+        orientation: 180, // Direction of the flat or notch in degrees (180 = left)
+        flatPreset: 'custom', // SEMI orientation/doping preset or 'custom'
+        secondaryFlatAngle: 0, // Angle subtended by the secondary flat (0 = none)
+        secondaryFlatLength: 0, // Chord length of the secondary flat in mm
+        secondaryFlatOffset: 90, // Clockwise offset of the secondary flat from the primary
         excludedRadius: 0,
+        substrateWidth: 50, // Size of square and rectangular substrates in mm
+        substrateHeight: 50,
+        chamfer: 0, // Corner chamfer of square and rectangular substrates in mm
+        pieceAngle: 0, // Direction of the middle of a half or quarter wafer in degrees
         name: '', // Added wafer name
         exportTimestamp: null // Added timestamp for export
     };
@@ -16,21 +38,275 @@ const WaferState = (function() {
     let chipParams = {
         width: 10,
         height: 12,
+        streetX: 0, // Scribe street between columns in mm
+        streetY: 0, // Scribe street between rows in mm
+        offsetX: 0, // Grid shift in X in mm
+        offsetY: 0, // Grid shift in Y in mm
+        pitchX: 10, // Step in X (die width + street), derived
+        pitchY: 12, // Step in Y (die height + street), derived
         labelFontSize: 0.18 // Added label font size as percentage of chip size
     };
     
-    let currentLabel = '';
-    let currentColor = '#ffffff';
+    let reticleParams = {
+        diesX: 1, // Dies per exposure field in X
+        diesY: 1, // Dies per exposure field in Y
+        offsetX: 0, // Field offset in X, in dies, from a field starting at the die on the wafer center
+        offsetY: 0, // Field offset in Y, in dies, from a field starting at the die on the wafer center
+        showFields: false // Draw the field boundaries over the map
+    };
+    
+    let coordParams = {
+        origin: 'center', // 'center' die, 'reference' die or 'corner'
+        corner: 'top-left', // Corner of the full dies used when origin is 'corner'
+        referenceX: 0, // Point on the reference die in mm
+        referenceY: 0,
+        xDirection: 'right', // Columns increase to the 'right' or 'left'
+        yDirection: 'down', // Rows increase 'down' or 'up' the map
+        showCoordinates: false // Draw (col,row) on every die
+    };
+    
+    let numberingParams = {
+        scheme: 'row', // 'row' (row-major), 'column' (column-major) or 'serpentine'
+        startCorner: 'top-left', // Corner of the map where numbering starts
+        skipPartial: true // Leave partial and edge-excluded dies unnumbered
+    };
+    
+    // Keep-out zones in wafer mm: rect {x, y, width, height}, circle {cx, cy, r} or polygon {points}
+    let keepOutZones = [];
+    
+    // Multi-project products {id, name, width, height} and their blocks {typeId, x, y, cols, rows}
+    let dieTypes = [];
+    let dieBlocks = [];
+    
+    let legendParams = {
+        show: false, // Draw the bin legend beside the wafer
+        position: 'right' // 'right', 'left', 'top' or 'bottom' of the wafer
+    };
+    
+    let heatmapParams = {
+        parameter: '', // Measurement that colors the dies ('' = color by bin)
+        scale: 'continuous', // 'continuous' or 'stepped'
+        steps: 8, // Number of color steps of a stepped scale
+        palette: 'viridis', // 'viridis', 'inferno', 'coolwarm', 'redgreen' or 'grayscale'
+        autoRange: true, // Take min and max from the measured values
+        min: 0, // Manual ends of the scale
+        max: 1
+    };
+    
+    let dieListParams = {
+        delimiter: ',', // ',' for CSV or '\t' for TSV
+        includeMetadata: true, // Start the file with a block of wafer-level '#' lines
+        columns: [] // Chosen columns in order {id, enabled}; columns not listed keep their defaults
+    };
+    
+    let asciiMapParams = {
+        emptyChar: '.', // Grid cell without a die on the map
+        untestedChar: '-', // Die on the map without a bin
+        rotation: 0 // Clockwise turn of the text grid against the map in degrees: 0, 90, 180 or 270
+    };
+    
+    // Bin table {code, name, color, pass, symbol}; chips refer to their bin by code.
+    // The symbol is the character of the bin in ASCII maps, left out to derive it from the code.
+    let bins = DEFAULT_BINS.map(bin => ({ ...bin }));
+    
+    let currentBin = DEFAULT_BINS[0].code; // Bin painted on click (null = erase)
+    let paintTarget = 'die'; // Paint a single 'die' or the whole 'shot'
+    let paintProduct = ''; // Only paint dies of this product ('' = any)
     
     let chips = [];
     
+    // IDs of the chips picked with the selection tools; not saved and dropped when the grid is rebuilt
+    let selectedIds = new Set();
+    
+    // Undo/redo history: 'paint' steps hold per-chip bin changes, 'snapshot' steps whole map states
+    const HISTORY_LIMIT = 100;
+    let undoStack = [];
+    let redoStack = [];
+    let committedSnapshot = null; // Snapshot at the latest history step
+    let pendingStroke = null; // Bin changes of the drag stroke in progress, by chip ID
+    
+    /**
+     * Collect the layout settings applied on top of the die grid
+     * @returns {Object} Layout parameters for generateChipGrid
+     */
+    function buildLayoutParams() {
+        return {
+            reticle: { ...reticleParams },
+            coordinates: { ...coordParams },
+            numbering: { ...numberingParams },
+            keepOutZones: JSON.parse(JSON.stringify(keepOutZones)),
+            dieTypes: dieTypes.map(type => ({ ...type })),
+            dieBlocks: dieBlocks.map(block => ({ ...block }))
+        };
+    }
+    
+    /**
+     * Capture everything an undo step restores
+     * Chips are rebuilt from the parameters, so only their bins are kept.
+     * @returns {string} Snapshot as JSON
+     */
+    function captureSnapshot() {
+        // The export timestamp is not an edit
+        const { exportTimestamp, ...editedWaferParams } = waferParams;
+        
+        return JSON.stringify({
+            waferParams: editedWaferParams,
+            chipParams,
+            reticleParams,
+            coordParams,
+            numberingParams,
+            keepOutZones,
+            dieTypes,
+            dieBlocks,
+            bins,
+            legendParams,
+            heatmapParams,
+            chipBins: chips.filter(chip => chip.bin !== null).map(chip => [chip.id, chip.bin]),
+            chipNotes: chips.filter(chip => chip.note).map(chip => [chip.id, chip.note]),
+            chipValues: chips.filter(chip => Object.keys(chip.values).length > 0).map(chip => [chip.id, chip.values])
+        });
+    }
+    
+    /**
+     * Restore the parameters of a snapshot
+     * @param {Object} snapshot - Parsed snapshot from captureSnapshot
+     */
+    function restoreSnapshotParams(snapshot) {
+        waferParams = { ...snapshot.waferParams, exportTimestamp: waferParams.exportTimestamp };
+        chipParams = snapshot.chipParams;
+        reticleParams = snapshot.reticleParams;
+        coordParams = snapshot.coordParams;
+        numberingParams = snapshot.numberingParams;
+        keepOutZones = snapshot.keepOutZones;
+        dieTypes = snapshot.dieTypes;
+        dieBlocks = snapshot.dieBlocks;
+        bins = snapshot.bins;
+        legendParams = snapshot.legendParams;
+        heatmapParams = snapshot.heatmapParams;
+        
+        if (!bins.some(bin => bin.code === currentBin)) {
+            currentBin = bins.length > 0 ? bins[0].code : null;
+        }
+    }
+    
+    /**
+     * Add a step to the undo history and forget the undone steps
+     * @param {Object} step - History step
+     */
+    function pushHistory(step) {
+        undoStack.push(step);
+        if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+        redoStack = [];
+        committedSnapshot = captureSnapshot();
+    }
+    
+    /**
+     * Bring the state to one side of a history step
+     * @param {Object} step - History step
+     * @param {string} side - 'before' to undo or 'after' to redo
+     * @returns {Object} {type: 'paint', chipIds} for repainted chips or {type: 'snapshot'} when the whole map changed
+     */
+    function applyHistoryStep(step, side) {
+        if (step.type === 'paint') {
+            applyChipBins([...step.changes].map(([id, change]) => ({ id, bin: change[side] })));
+            committedSnapshot = captureSnapshot();
+            return { type: 'paint', chipIds: [...step.changes.keys()] };
+        }
+        
+        const snapshot = JSON.parse(step[side]);
+        restoreSnapshotParams(snapshot);
+        
+        chips = generateChipGrid(waferParams, chipParams, buildLayoutParams());
+        selectedIds = new Set();
+        applyChipBins(snapshot.chipBins.map(([id, bin]) => ({ id, bin })));
+        
+        const notesById = new Map(snapshot.chipNotes);
+        const valuesById = new Map(snapshot.chipValues);
+        chips = chips.map(chip => notesById.has(chip.id) || valuesById.has(chip.id) ? {
+            ...chip,
+            note: notesById.get(chip.id) || '',
+            values: valuesById.get(chip.id) || {}
+        } : chip);
+        
+        committedSnapshot = captureSnapshot();
+        return { type: 'snapshot' };
+    }
+    
+    /**
+     * Set the bins of chips without recording history
+     * @param {Array} changes - Changes {id, bin}
+     */
+    function applyChipBins(changes) {
+        const binsById = new Map(changes.map(change => [change.id, change.bin]));
+        chips = chips.map(chip => binsById.has(chip.id) ? { ...chip, bin: binsById.get(chip.id) } : chip);
+    }
+    
+    /**
+     * Turn the free-form colors and labels of maps saved before bins into bins
+     * Each distinct color and label pair reuses a bin of that color and name or gets a new one.
+     * @param {Array} importedChips - Chips from the saved map
+     * @returns {Map} Bin code for each "color|label" pair
+     */
+    function convertLegacyLabels(importedChips) {
+        const codes = new Map();
+        
+        importedChips.forEach(chip => {
+            const color = chip.color || '#ffffff';
+            const label = chip.label || '';
+            const key = `${color}|${label}`;
+            if (!codes.has(key)) codes.set(key, findOrCreateLabelBin(color, label));
+        });
+        
+        return codes;
+    }
+    
+    /**
+     * Find the bin with a color and name, adding it to the bin table if there is none
+     * Labels and colors carry no pass/fail information, so new bins start as failing.
+     * @param {string} color - Hex color
+     * @param {string} label - Label, used as the bin name
+     * @returns {number|null} Bin code, or null for a white chip without a label (unbinned)
+     */
+    function findOrCreateLabelBin(color, label) {
+        if (color.toLowerCase() === '#ffffff' && !label) return null;
+        
+        let bin = bins.find(b => b.color.toLowerCase() === color.toLowerCase() && b.name === label);
+        if (!bin) {
+            bin = {
+                code: Math.max(0, ...bins.map(b => b.code)) + 1,
+                name: label || color,
+                color: color,
+                pass: false
+            };
+            bins.push(bin);
+        }
+        
+        return bin.code;
+    }
+    
+    /**
+     * Recompute the flat angles or lengths from whichever was entered
+     */
+    function syncFlatSizes() {
+        const diameter = waferParams.diameter;
+        
+        if (waferParams.flatSizeMode === 'length') {
+            waferParams.flatAngle = flatLengthToAngle(waferParams.flatLength, diameter);
+            waferParams.secondaryFlatAngle = flatLengthToAngle(waferParams.secondaryFlatLength, diameter);
+        } else {
+            waferParams.flatLength = flatAngleToLength(waferParams.flatAngle, diameter);
+            waferParams.secondaryFlatLength = flatAngleToLength(waferParams.secondaryFlatAngle, diameter);
+        }
+    }
+    
     // Public methods
     return {
         /**
          * Initialize the state with default values
          */
         init: function() {
-            // Default values are already set above
+            // Default values are already set above, only the derived flat lengths are missing
+            syncFlatSizes();
             return this;
         },
         
@@ -47,12 +323,27 @@ const WaferState = (function() {
          * @param {Object} params - New wafer parameters
          */
         updateWaferParams: function(params) {
+            if (params.shape) waferParams.shape = params.shape;
             if (params.diameter) waferParams.diameter = params.diameter;
+            if (params.waferType) waferParams.waferType = params.waferType;
             if (params.flatAngle !== undefined) waferParams.flatAngle = params.flatAngle;
+            if (params.flatLength !== undefined) waferParams.flatLength = params.flatLength;
+            if (params.flatSizeMode) waferParams.flatSizeMode = params.flatSizeMode;
+            if (params.orientation !== undefined) waferParams.orientation = params.orientation;
+            if (params.flatPreset) waferParams.flatPreset = params.flatPreset;
+            if (params.secondaryFlatAngle !== undefined) waferParams.secondaryFlatAngle = params.secondaryFlatAngle;
+            if (params.secondaryFlatLength !== undefined) waferParams.secondaryFlatLength = params.secondaryFlatLength;
+            if (params.secondaryFlatOffset !== undefined) waferParams.secondaryFlatOffset = params.secondaryFlatOffset;
             if (params.excludedRadius !== undefined) waferParams.excludedRadius = params.excludedRadius;
+            if (params.substrateWidth) waferParams.substrateWidth = params.substrateWidth;
+            if (params.substrateHeight) waferParams.substrateHeight = params.substrateHeight;
+            if (params.chamfer !== undefined) waferParams.chamfer = params.chamfer;
+            if (params.pieceAngle !== undefined) waferParams.pieceAngle = params.pieceAngle;
             if (params.name !== undefined) waferParams.name = params.name;
             if (params.exportTimestamp !== undefined) waferParams.exportTimestamp = params.exportTimestamp;
             
+            syncFlatSizes();
+            
             return this;
         },
         
@@ -71,19 +362,395 @@ const WaferState = (function() {
         updateChipParams: function(params) {
             if (params.width) chipParams.width = params.width;
             if (params.height) chipParams.height = params.height;
+            if (params.streetX !== undefined) chipParams.streetX = params.streetX;
+            if (params.streetY !== undefined) chipParams.streetY = params.streetY;
+            if (params.offsetX !== undefined) chipParams.offsetX = params.offsetX;
+            if (params.offsetY !== undefined) chipParams.offsetY = params.offsetY;
             if (params.labelFontSize !== undefined) chipParams.labelFontSize = params.labelFontSize;
             
+            // Pitch always follows from die size and street
+            chipParams.pitchX = chipParams.width + chipParams.streetX;
+            chipParams.pitchY = chipParams.height + chipParams.streetY;
+            
+            return this;
+        },
+        
+        /**
+         * Get current reticle parameters
+         * @returns {Object} Current reticle parameters
+         */
+        getReticleParams: function() {
+            return { ...reticleParams };
+        },
+        
+        /**
+         * Update reticle parameters
+         * @param {Object} params - New reticle parameters
+         */
+        updateReticleParams: function(params) {
+            if (params.diesX) reticleParams.diesX = params.diesX;
+            if (params.diesY) reticleParams.diesY = params.diesY;
+            if (params.offsetX !== undefined) reticleParams.offsetX = params.offsetX;
+            if (params.offsetY !== undefined) reticleParams.offsetY = params.offsetY;
+            if (params.showFields !== undefined) reticleParams.showFields = params.showFields;
+            
+            return this;
+        },
+        
+        /**
+         * Get current die coordinate parameters
+         * @returns {Object} Current coordinate parameters
+         */
+        getCoordParams: function() {
+            return { ...coordParams };
+        },
+        
+        /**
+         * Update die coordinate parameters
+         * @param {Object} params - New coordinate parameters
+         */
+        updateCoordParams: function(params) {
+            if (params.origin) coordParams.origin = params.origin;
+            if (params.corner) coordParams.corner = params.corner;
+            if (params.referenceX !== undefined) coordParams.referenceX = params.referenceX;
+            if (params.referenceY !== undefined) coordParams.referenceY = params.referenceY;
+            if (params.xDirection) coordParams.xDirection = params.xDirection;
+            if (params.yDirection) coordParams.yDirection = params.yDirection;
+            if (params.showCoordinates !== undefined) coordParams.showCoordinates = params.showCoordinates;
+            
+            return this;
+        },
+        
+        /**
+         * Get current die numbering parameters
+         * @returns {Object} Current numbering parameters
+         */
+        getNumberingParams: function() {
+            return { ...numberingParams };
+        },
+        
+        /**
+         * Update die numbering parameters
+         * @param {Object} params - New numbering parameters
+         */
+        updateNumberingParams: function(params) {
+            if (params.scheme) numberingParams.scheme = params.scheme;
+            if (params.startCorner) numberingParams.startCorner = params.startCorner;
+            if (params.skipPartial !== undefined) numberingParams.skipPartial = params.skipPartial;
+            
+            return this;
+        },
+        
+        /**
+         * Get the keep-out zones
+         * @returns {Array} Copies of the keep-out zone objects
+         */
+        getKeepOutZones: function() {
+            return keepOutZones.map(zone => JSON.parse(JSON.stringify(zone)));
+        },
+        
+        /**
+         * Replace the keep-out zones
+         * @param {Array} zones - Keep-out zone objects
+         */
+        setKeepOutZones: function(zones) {
+            keepOutZones = zones.map(zone => JSON.parse(JSON.stringify(zone)));
+            return this;
+        },
+        
+        /**
+         * Get the multi-project die types
+         * @returns {Array} Copies of the die type objects
+         */
+        getDieTypes: function() {
+            return dieTypes.map(type => ({ ...type }));
+        },
+        
+        /**
+         * Replace the multi-project die types
+         * @param {Array} types - Die type objects
+         */
+        setDieTypes: function(types) {
+            dieTypes = types.map(type => ({ ...type }));
+            return this;
+        },
+        
+        /**
+         * Get the multi-project die blocks
+         * @returns {Array} Copies of the block objects
+         */
+        getDieBlocks: function() {
+            return dieBlocks.map(block => ({ ...block }));
+        },
+        
+        /**
+         * Replace the multi-project die blocks
+         * @param {Array} blocks - Block objects
+         */
+        setDieBlocks: function(blocks) {
+            dieBlocks = blocks.map(block => ({ ...block }));
             return this;
         },
         
+        /**
+         * Get the layout settings applied on top of the die grid
+         * @returns {Object} Layout parameters for generateChipGrid
+         */
+        getLayoutParams: function() {
+            return buildLayoutParams();
+        },
+        
+        /**
+         * Get current legend parameters
+         * @returns {Object} Current legend parameters
+         */
+        getLegendParams: function() {
+            return { ...legendParams };
+        },
+        
+        /**
+         * Update legend parameters
+         * @param {Object} params - New legend parameters
+         */
+        updateLegendParams: function(params) {
+            if (params.show !== undefined) legendParams.show = params.show;
+            if (params.position) legendParams.position = params.position;
+            
+            return this;
+        },
+        
+        /**
+         * Get current heatmap parameters
+         * @returns {Object} Current heatmap parameters
+         */
+        getHeatmapParams: function() {
+            return { ...heatmapParams };
+        },
+        
+        /**
+         * Update heatmap parameters
+         * @param {Object} params - New heatmap parameters
+         */
+        updateHeatmapParams: function(params) {
+            heatmapParams = { ...heatmapParams, ...params };
+            return this;
+        },
+        
+        /**
+         * Get current die list export parameters
+         * @returns {Object} Current die list export parameters
+         */
+        getDieListParams: function() {
+            return { ...dieListParams, columns: dieListParams.columns.map(column => ({ ...column })) };
+        },
+        
+        /**
+         * Update die list export parameters
+         * @param {Object} params - New die list export parameters
+         */
+        updateDieListParams: function(params) {
+            dieListParams = { ...dieListParams, ...params };
+            return this;
+        },
+        
+        /**
+         * Get current ASCII map parameters
+         * @returns {Object} Current ASCII map parameters
+         */
+        getAsciiMapParams: function() {
+            return { ...asciiMapParams };
+        },
+        
+        /**
+         * Update ASCII map parameters
+         * @param {Object} params - New ASCII map parameters
+         */
+        updateAsciiMapParams: function(params) {
+            asciiMapParams = { ...asciiMapParams, ...params };
+            return this;
+        },
+        
+        /**
+         * Get the names of the measurements held by any die
+         * @returns {Array} Sorted measurement names
+         */
+        getParameterNames: function() {
+            const names = new Set();
+            chips.forEach(chip => Object.keys(chip.values).forEach(name => names.add(name)));
+            return [...names].sort();
+        },
+        
+        /**
+         * Get the smallest and largest value of a measurement over the dies on the map
+         * @param {string} name - Measurement name
+         * @returns {Object|null} {min, max}, or null if no die on the map has the measurement
+         */
+        getParameterRange: function(name) {
+            let min = Infinity;
+            let max = -Infinity;
+            
+            chips.forEach(chip => {
+                const value = chip.values[name];
+                if (isChipOnMap(chip) && Number.isFinite(value)) {
+                    min = Math.min(min, value);
+                    max = Math.max(max, value);
+                }
+            });
+            
+            return min <= max ? { min, max } : null;
+        },
+        
+        /**
+         * Get the bin table
+         * @returns {Array} Bins {code, name, color, pass}
+         */
+        getBins: function() {
+            return bins.map(bin => ({ ...bin }));
+        },
+        
+        /**
+         * Replace the bin table
+         * @param {Array} newBins - Bins {code, name, color, pass}
+         */
+        setBins: function(newBins) {
+            bins = newBins.map(bin => ({ ...bin }));
+            return this;
+        },
+        
+        /**
+         * Get a bin by its code
+         * @param {number|null} code - Bin code
+         * @returns {Object|null} Bin, or null if there is no bin with that code
+         */
+        getBin: function(code) {
+            if (code === null || code === undefined) return null;
+            const bin = bins.find(b => b.code === code);
+            return bin ? { ...bin } : null;
+        },
+        
+        /**
+         * Set bins, labels, colors and measurements of dies from an imported table
+         * A label and color are turned into the bin of that name and color, a label alone into the bin of
+         * that name. Bins that don't exist yet are added to the bin table. History is left to the caller, which records the import as one step.
+         * @param {Array} entries - Die data {id, bin, label, color, symbol, values}; fields left out are not changed.
+         *     The symbol is given to a bin added for the label.
+         * @returns {Array} Codes of the bins that were added
+         */
+        applyDieData: function(entries) {
+            const knownCodes = new Set(bins.map(bin => bin.code));
+            const chipsById = new Map(chips.map(chip => [chip.id, chip]));
+            const updates = new Map();
+            
+            entries.forEach(entry => {
+                const chip = chipsById.get(entry.id);
+                if (!chip) return;
+                
+                const update = updates.get(entry.id) || { values: { ...chip.values } };
+                
+                // New bins get a color of their own and start as failing
+                const addBin = (code, name, symbol) => {
+                    const color = IMPORTED_BIN_COLORS[bins.length % IMPORTED_BIN_COLORS.length];
+                    bins.push({ code, name, color, pass: false, ...(symbol ? { symbol } : {}) });
+                    return code;
+                };
+                
+                if (entry.bin !== undefined) {
+                    if (entry.bin !== null && !bins.some(bin => bin.code === entry.bin)) {
+                        addBin(entry.bin, `Bin ${entry.bin}`);
+                    }
+                    update.bin = entry.bin;
+                } else if (entry.color !== undefined) {
+                    update.bin = findOrCreateLabelBin(entry.color, entry.label || '');
+                } else if (entry.label !== undefined) {
+                    const named = bins.find(bin => bin.name === entry.label);
+                    update.bin = named ? named.code : addBin(Math.max(0, ...bins.map(bin => bin.code)) + 1, entry.label, entry.symbol);
+                }
+                
+                Object.assign(update.values, entry.values);
+                updates.set(entry.id, update);
+            });
+            
+            chips = chips.map(chip => updates.has(chip.id) ? { ...chip, ...updates.get(chip.id) } : chip);
+            
+            return bins.map(bin => bin.code).filter(code => !knownCodes.has(code));
+        },
+        
+        /**
+         * Name and grade bins from an imported bin definition list
+         * Bins that don't exist yet are added with a color of their own; bins not listed are kept.
+         * @param {Array} definitions - Bin definitions {code, name, pass}
+         * @returns {Array} Codes of the bins that were added
+         */
+        defineBins: function(definitions) {
+            const added = [];
+            
+            definitions.forEach(definition => {
+                const bin = bins.find(b => b.code === definition.code);
+                if (bin) {
+                    bin.name = definition.name;
+                    bin.pass = definition.pass;
+                } else {
+                    const color = IMPORTED_BIN_COLORS[bins.length % IMPORTED_BIN_COLORS.length];
+                    bins.push({ code: definition.code, name: definition.name, color, pass: definition.pass });
+                    added.push(definition.code);
+                }
+            });
+            
+            return added;
+        },
+        
+        /**
+         * Move every chip of one bin to another
+         * @param {number} fromCode - Code of the bin the chips are in
+         * @param {number|null} toCode - Code of the new bin (null = unbinned)
+         */
+        reassignBin: function(fromCode, toCode) {
+            chips = chips.map(chip => chip.bin === fromCode ? { ...chip, bin: toCode } : chip);
+            if (currentBin === fromCode) currentBin = toCode;
+            return this;
+        },
+        
+        /**
+         * Count the gross dies per bin and the yield
+         * Only full dies count; yield is taken over the binned dies once a passing bin exists.
+         * @returns {Object} Gross, binned and unbinned die counts, per-bin counts and percentages of
+         *     the gross dies, pass/fail counts and yield in percent (null when it can't be computed)
+         */
+        getSummary: function() {
+            const grossChips = chips.filter(chip => chip.status === 'full');
+            const grossDies = grossChips.length;
+            const percentOf = (count, total) => total > 0 ? Math.round(count / total * 10000) / 100 : 0;
+            
+            const binSummaries = bins.map(bin => {
+                const count = grossChips.filter(chip => chip.bin === bin.code).length;
+                return { ...bin, count, percent: percentOf(count, grossDies) };
+            });
+            
+            const binnedDies = binSummaries.reduce((sum, bin) => sum + bin.count, 0);
+            const passDies = binSummaries.filter(bin => bin.pass).reduce((sum, bin) => sum + bin.count, 0);
+            const hasPassBin = bins.some(bin => bin.pass);
+            
+            return {
+                grossDies,
+                binnedDies,
+                unbinnedDies: grossDies - binnedDies,
+                unbinnedPercent: percentOf(grossDies - binnedDies, grossDies),
+                passDies,
+                failDies: binnedDies - passDies,
+                yield: hasPassBin && binnedDies > 0 ? percentOf(passDies, binnedDies) : null,
+                bins: binSummaries
+            };
+        },
+        
         /**
          * Get current labeling parameters
-         * @returns {Object} Current label and color
+         * @returns {Object} Current paint bin, target and product filter
          */
         getLabelParams: function() {
             return {
-                label: currentLabel,
-                color: currentColor
+                bin: currentBin,
+                paintTarget: paintTarget,
+                paintProduct: paintProduct
             };
         },
         
@@ -92,21 +759,159 @@ const WaferState = (function() {
          * @param {Object} params - New labeling parameters
          */
         updateLabelParams: function(params) {
-            if (params.label !== undefined) currentLabel = params.label;
-            if (params.color) currentColor = params.color;
+            if (params.bin !== undefined) currentBin = params.bin;
+            if (params.paintTarget) paintTarget = params.paintTarget;
+            if (params.paintProduct !== undefined) paintProduct = params.paintProduct;
             
             return this;
         },
         
+        /**
+         * Paint chips with a bin, recording the change in the history
+         * Changes made while a stroke is open become one undo step when it ends.
+         * @param {Array} ids - Chip IDs
+         * @param {number|null} bin - Bin code (null = unbinned)
+         * @returns {Array} IDs of the chips whose bin changed
+         */
+        paintChips: function(ids, bin) {
+            const changes = new Map();
+            
+            ids.forEach(id => {
+                const chip = chips.find(c => c.id === id);
+                if (chip && chip.bin !== bin) {
+                    changes.set(id, { before: chip.bin, after: bin });
+                }
+            });
+            
+            applyChipBins([...changes].map(([id, change]) => ({ id, bin: change.after })));
+            
+            if (pendingStroke) {
+                // Keep the bin each chip had when the stroke started
+                changes.forEach((change, id) => {
+                    const earlier = pendingStroke.get(id);
+                    pendingStroke.set(id, { before: earlier ? earlier.before : change.before, after: change.after });
+                });
+            } else if (changes.size > 0) {
+                pushHistory({ type: 'paint', changes });
+            }
+            
+            return [...changes.keys()];
+        },
+        
+        /**
+         * Start collecting the paints of a drag stroke into one undo step
+         */
+        beginStroke: function() {
+            // A stroke that never saw its end still counts as one step
+            this.endStroke();
+            pendingStroke = new Map();
+            return this;
+        },
+        
+        /**
+         * Finish the drag stroke and record it if it changed any chip
+         */
+        endStroke: function() {
+            if (pendingStroke && pendingStroke.size > 0) {
+                pushHistory({ type: 'paint', changes: pendingStroke });
+            }
+            pendingStroke = null;
+            return this;
+        },
+        
+        /**
+         * Record the current map as a history step if it differs from the latest one
+         * Called after parameter changes and imports; the first call only sets the starting point.
+         */
+        recordSnapshot: function() {
+            const snapshot = captureSnapshot();
+            
+            if (committedSnapshot === null) {
+                committedSnapshot = snapshot;
+            } else if (snapshot !== committedSnapshot) {
+                pushHistory({ type: 'snapshot', before: committedSnapshot, after: snapshot });
+            }
+            
+            return this;
+        },
+        
+        /**
+         * Check if there is a step to undo
+         * @returns {boolean} True if undo is possible
+         */
+        canUndo: function() {
+            return undoStack.length > 0;
+        },
+        
+        /**
+         * Check if there is a step to redo
+         * @returns {boolean} True if redo is possible
+         */
+        canRedo: function() {
+            return redoStack.length > 0;
+        },
+        
+        /**
+         * Step back through the history
+         * @returns {Object|null} {type: 'paint', chipIds} for repainted chips, {type: 'snapshot'} when
+         *     the whole map changed, or null if there is nothing to undo
+         */
+        undo: function() {
+            const step = undoStack.pop();
+            if (!step) return null;
+            
+            redoStack.push(step);
+            return applyHistoryStep(step, 'before');
+        },
+        
+        /**
+         * Step forward through the history again
+         * @returns {Object|null} Same as undo, or null if there is nothing to redo
+         */
+        redo: function() {
+            const step = redoStack.pop();
+            if (!step) return null;
+            
+            undoStack.push(step);
+            return applyHistoryStep(step, 'after');
+        },
+        
         /**
          * Set all chips
          * @param {Array} newChips - Array of chip objects
          */
         setChips: function(newChips) {
             chips = newChips;
+            selectedIds = new Set();
+            return this;
+        },
+        
+        /**
+         * Get the selected chips
+         * @returns {Array} IDs of the selected chips
+         */
+        getSelection: function() {
+            return [...selectedIds];
+        },
+        
+        /**
+         * Replace the selection
+         * @param {Array} ids - IDs of the chips to select
+         */
+        setSelection: function(ids) {
+            selectedIds = new Set(ids);
             return this;
         },
         
+        /**
+         * Check if a chip is selected
+         * @param {number} id - Chip ID
+         * @returns {boolean} True if the chip is selected
+         */
+        isSelected: function(id) {
+            return selectedIds.has(id);
+        },
+        
         /**
          * Get all chips
          * @returns {Array} Array of all chip objects
@@ -147,6 +952,17 @@ const WaferState = (function() {
             return JSON.stringify({
                 waferParams,
                 chipParams,
+                reticleParams,
+                coordParams,
+                numberingParams,
+                keepOutZones,
+                dieTypes,
+                dieBlocks,
+                bins,
+                legendParams,
+                heatmapParams,
+                dieListParams,
+                asciiMapParams,
                 chips
             });
         },
@@ -160,44 +976,141 @@ const WaferState = (function() {
             try {
                 const data = JSON.parse(json);
                 
-                if (data.waferParams) this.updateWaferParams(data.waferParams);
-                if (data.chipParams) this.updateChipParams(data.chipParams);
+                // Maps saved by older versions are round wafers with a single flat on the left, sized by angle
+                if (data.waferParams) {
+                    this.updateWaferParams({
+                        shape: 'circle',
+                        waferType: 'flat',
+                        orientation: 180,
+                        flatPreset: 'custom',
+                        flatSizeMode: 'angle',
+                        secondaryFlatAngle: 0,
+                        ...data.waferParams
+                    });
+                }
+                // Maps saved before scribe streets and grid offsets step at the die size from the default origin
+                if (data.chipParams) {
+                    this.updateChipParams({
+                        streetX: 0,
+                        streetY: 0,
+                        offsetX: 0,
+                        offsetY: 0,
+                        ...data.chipParams
+                    });
+                }
+                
+                // Maps saved before reticle support expose one die per shot
+                this.updateReticleParams({
+                    diesX: 1,
+                    diesY: 1,
+                    offsetX: 0,
+                    offsetY: 0,
+                    ...data.reticleParams
+                });
+                
+                if (data.coordParams) this.updateCoordParams(data.coordParams);
+                
+                // Maps saved before numbering schemes were numbered row by row from the top left
+                this.updateNumberingParams({
+                    scheme: 'row',
+                    startCorner: 'top-left',
+                    skipPartial: true,
+                    ...data.numberingParams
+                });
+                
+                this.setKeepOutZones(Array.isArray(data.keepOutZones) ? data.keepOutZones : []);
+                this.setDieTypes(Array.isArray(data.dieTypes) ? data.dieTypes : []);
+                this.setDieBlocks(Array.isArray(data.dieBlocks) ? data.dieBlocks : []);
                 
                 // Store the imported chips but don't regenerate the wafer yet
                 let importedChips = [];
                 if (data.chips) importedChips = data.chips;
                 
+                // Maps saved before the legend have none
+                this.updateLegendParams({
+                    show: false,
+                    position: 'right',
+                    ...data.legendParams
+                });
+                
+                // Maps saved before measurements color by bin
+                heatmapParams = {
+                    parameter: '',
+                    scale: 'continuous',
+                    steps: 8,
+                    palette: 'viridis',
+                    autoRange: true,
+                    min: 0,
+                    max: 1,
+                    ...data.heatmapParams
+                };
+                
+                // Maps saved before the die list export use its defaults
+                dieListParams = {
+                    delimiter: ',',
+                    includeMetadata: true,
+                    columns: [],
+                    ...data.dieListParams
+                };
+                
+                asciiMapParams = {
+                    emptyChar: '.',
+                    untestedChar: '-',
+                    rotation: 0,
+                    ...data.asciiMapParams
+                };
+                
+                // Maps saved before bins keep their colors and labels as new bins
+                this.setBins(Array.isArray(data.bins) ? data.bins : DEFAULT_BINS);
+                const legacyBins = Array.isArray(data.bins) ? new Map() : convertLegacyLabels(importedChips);
+                if (!this.getBin(currentBin)) currentBin = bins.length > 0 ? bins[0].code : null;
+                
                 // First generate new chips based on current parameters
                 const waferParams = this.getWaferParams();
                 const chipParams = this.getChipParams();
                 
                 // Generate chip grid (but don't store it yet)
-                const newChips = generateChipGrid(
-                    waferParams, 
-                    chipParams.width, 
-                    chipParams.height
-                );
-                
-                // Map the imported properties (like colors and labels) to the new chips
-                // Match by position (x,y coordinates) since chip IDs might differ
+                const newChips = generateChipGrid(waferParams, chipParams, this.getLayoutParams());
+                
+                // Map the imported properties (like bins) to the new chips
+                // Match grid dies by coordinates when the file has them, otherwise (and for block dies) by position (x,y)
+                const importedByCoords = new Map();
+                importedChips.forEach(importedChip => {
+                    if (Number.isInteger(importedChip.col) && Number.isInteger(importedChip.row)) {
+                        importedByCoords.set(`${importedChip.col},${importedChip.row}`, importedChip);
+                    }
+                });
+                
                 newChips.forEach(newChip => {
-                    if (newChip.inside) {
+                    if (isChipOnMap(newChip)) {
                         // Try to find a matching chip in the imported data
-                        const matchingChip = importedChips.find(importedChip => 
-                            Math.abs(importedChip.x - newChip.x) < 0.1 && 
-                            Math.abs(importedChip.y - newChip.y) < 0.1
-                        );
+                        const hasCoords = importedByCoords.size > 0 && Number.isInteger(newChip.col);
+                        const matchingChip = hasCoords ?
+                            importedByCoords.get(`${newChip.col},${newChip.row}`) :
+                            importedChips.find(importedChip => 
+                                Math.abs(importedChip.x - newChip.x) < 0.1 && 
+                                Math.abs(importedChip.y - newChip.y) < 0.1 &&
+                                (importedChip.product || MAIN_PRODUCT_ID) === newChip.product
+                            );
                         
                         if (matchingChip) {
-                            // Copy properties from the imported chip
-                            if (matchingChip.color) newChip.color = matchingChip.color;
-                            if (matchingChip.label) newChip.label = matchingChip.label;
+                            // Copy the bin from the imported chip
+                            if (matchingChip.bin !== undefined) {
+                                newChip.bin = matchingChip.bin;
+                            } else {
+                                const legacyKey = `${matchingChip.color || '#ffffff'}|${matchingChip.label || ''}`;
+                                newChip.bin = legacyBins.has(legacyKey) ? legacyBins.get(legacyKey) : null;
+                            }
+                            
+                            newChip.note = matchingChip.note || '';
+                            newChip.values = matchingChip.values ? { ...matchingChip.values } : {};
                         }
                     }
                 });
                 
                 // Update the chips in state
                 chips = newChips;
+                selectedIds = new Set();
                 
                 return true;
             } catch (error) {
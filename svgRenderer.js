@@ -7,9 +7,42 @@ const SvgRenderer = (function() {
     // SVG namespace
     const SVG_NS = 'http://www.w3.org/2000/svg';
     
+    // ID of the clip path holding the wafer outline
+    const WAFER_CLIP_ID = 'wafer-clip';
+    
+    // ID of the hatch pattern filling keep-out zones
+    const HATCH_PATTERN_ID = 'keep-out-hatch';
+    
+    // Outline colors for the products of multi-project layouts
+    const PRODUCT_COLORS = ['#8e44ad', '#d35400', '#16a085', '#2c3e50', '#c0392b', '#2980b9'];
+    
+    // Heatmap palettes as evenly spaced color stops from the low to the high end
+    const HEATMAP_PALETTES = {
+        viridis: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'],
+        inferno: ['#000004', '#57106e', '#bc3754', '#f98e09', '#fcffa4'],
+        coolwarm: ['#3b4cc0', '#8db0fe', '#dddddd', '#f49a7b', '#b40426'],
+        redgreen: ['#d73027', '#fee08b', '#1a9850'],
+        grayscale: ['#f0f0f0', '#252525']
+    };
+    
+    // Fill of dies without the measurement shown by the heatmap
+    const NO_VALUE_COLOR = '#e0e0e0';
+    
+    // Number of slices drawn for a continuous color bar
+    const COLOR_BAR_SLICES = 64;
+    
     // Reference to the SVG container element
     let svgContainer = null;
     
+    // viewBox that fits the whole wafer and legend, used by exports and fit-to-wafer
+    let fitViewBox = null;
+    
+    // Heatmap scale of the map being drawn, null when dies are colored by bin
+    let heatmapScale = null;
+    
+    // Zoom factor relative to the fitted view, and the wafer mm point at the center of the view
+    const view = { zoom: 1, centerX: 0, centerY: 0, maxZoom: 1 };
+    
     /**
      * Create an SVG element with the given attributes
      * @param {string} elementType - Type of SVG element to create
@@ -106,6 +139,407 @@ const SvgRenderer = (function() {
         return coordGroup;
     }
     
+    /**
+     * Build SVG path data for a wafer outline with flats and a notch
+     * @param {Object} outline - Wafer outline from getWaferOutline
+     * @returns {string} Path data tracing the outline
+     */
+    function buildOutlinePath(outline) {
+        const radius = outline.radius;
+        
+        // Each edge feature replaces an arc of the circle between its start and end angles
+        const features = outline.flats.map(flat => ({
+            startAngle: flat.startAngle,
+            endAngle: flat.endAngle,
+            start: flat.start,
+            points: [flat.end]
+        }));
+        
+        if (outline.notch) {
+            features.push({
+                startAngle: outline.notch.startAngle,
+                endAngle: outline.notch.endAngle,
+                start: outline.notch.start,
+                points: [outline.notch.apex, outline.notch.end]
+            });
+        }
+        
+        const fullTurn = 2 * Math.PI;
+        const normalize = angle => ((angle % fullTurn) + fullTurn) % fullTurn;
+        features.sort((a, b) => normalize(a.startAngle) - normalize(b.startAngle));
+        
+        const pathData = [`M ${features[0].start.x} ${features[0].start.y}`];
+        
+        features.forEach((feature, index) => {
+            feature.points.forEach(point => {
+                pathData.push(`L ${point.x} ${point.y}`);
+            });
+            
+            // Arc along the wafer edge to the next feature
+            const next = features[(index + 1) % features.length];
+            const gap = normalize(next.startAngle - feature.endAngle) || fullTurn;
+            const largeArc = gap > Math.PI ? 1 : 0;
+            pathData.push(`A ${radius} ${radius} 0 ${largeArc} 1 ${next.start.x} ${next.start.y}`);
+        });
+        
+        pathData.push('Z');
+        
+        return pathData.join(' ');
+    }
+    
+    /**
+     * Build SVG path data for a polygon
+     * @param {Array} points - Polygon vertices as {x, y} objects
+     * @returns {string} Path data
+     */
+    function buildPolygonPath(points) {
+        return points.map((point, index) => `${index === 0 ? 'M' : 'L'} ${point.x} ${point.y}`).join(' ') + ' Z';
+    }
+    
+    /**
+     * Build SVG path data for any substrate outline
+     * Round wafers keep exact arcs, pieces and rectangular substrates are drawn as polygons.
+     * @param {Object} outline - Wafer outline from getWaferOutline
+     * @returns {string} Path data
+     */
+    function buildSubstratePath(outline) {
+        if (outline.cuts.length > 0) {
+            return buildPolygonPath(getOutlinePolygon(outline));
+        }
+        
+        return buildOutlinePath(outline);
+    }
+    
+    /**
+     * Build a clip path matching the wafer outline
+     * @param {Object} waferParams - Wafer parameters
+     * @returns {SVGElement} The clipPath element
+     */
+    function buildWaferClipPath(waferParams) {
+        const clipPath = createSvgElement('clipPath', {
+            id: WAFER_CLIP_ID
+        });
+        
+        const waferOutline = getWaferOutline(waferParams);
+        
+        if (waferOutline.flats.length > 0 || waferOutline.notch || waferOutline.cuts.length > 0) {
+            clipPath.appendChild(createSvgElement('path', {
+                d: buildSubstratePath(waferOutline)
+            }));
+        } else {
+            clipPath.appendChild(createSvgElement('circle', {
+                cx: 0,
+                cy: 0,
+                r: waferOutline.radius
+            }));
+        }
+        
+        return clipPath;
+    }
+    
+    /**
+     * Get the outline color of a multi-project product
+     * @param {string} productId - ID of the die type
+     * @returns {string} Color for the product
+     */
+    function getProductColor(productId) {
+        const index = WaferState.getDieTypes().findIndex(type => type.id === productId);
+        return PRODUCT_COLORS[Math.max(0, index) % PRODUCT_COLORS.length];
+    }
+    
+    /**
+     * Work out the heatmap scale from the heatmap parameters
+     * @returns {Object|null} {parameter, min, max, palette, steps} with steps 0 for a continuous scale,
+     *     or null when dies are colored by bin
+     */
+    function getHeatmapScale() {
+        const params = WaferState.getHeatmapParams();
+        if (!params.parameter) return null;
+        
+        let min = params.min;
+        let max = params.max;
+        if (params.autoRange) {
+            const range = WaferState.getParameterRange(params.parameter);
+            min = range ? range.min : 0;
+            max = range ? range.max : 1;
+        }
+        
+        return {
+            parameter: params.parameter,
+            min: Math.min(min, max),
+            max: Math.max(min, max),
+            palette: HEATMAP_PALETTES[params.palette] || HEATMAP_PALETTES.viridis,
+            steps: params.scale === 'stepped' ? Math.max(2, Math.round(params.steps)) : 0
+        };
+    }
+    
+    /**
+     * Pick the color of a position along a palette
+     * @param {Array} palette - Color stops as hex strings
+     * @param {number} t - Position from 0 (low end) to 1 (high end)
+     * @returns {string} Color as rgb()
+     */
+    function interpolatePalette(palette, t) {
+        const position = Math.min(Math.max(t, 0), 1) * (palette.length - 1);
+        const index = Math.min(Math.floor(position), palette.length - 2);
+        const fraction = position - index;
+        
+        const from = parseInt(palette[index].slice(1), 16);
+        const to = parseInt(palette[index + 1].slice(1), 16);
+        const channel = shift => Math.round(((from >> shift) & 255) * (1 - fraction) + ((to >> shift) & 255) * fraction);
+        
+        return `rgb(${channel(16)}, ${channel(8)}, ${channel(0)})`;
+    }
+    
+    /**
+     * Get the heatmap color of a value
+     * A stepped scale splits the range into equal steps, each drawn in one color.
+     * @param {Object} scale - Scale from getHeatmapScale
+     * @param {number} value - Measured value
+     * @returns {string} Color as rgb()
+     */
+    function getHeatmapColor(scale, value) {
+        let t = scale.max > scale.min ? (value - scale.min) / (scale.max - scale.min) : 0.5;
+        t = Math.min(Math.max(t, 0), 1);
+        
+        if (scale.steps > 0) {
+            const step = Math.min(Math.floor(t * scale.steps), scale.steps - 1);
+            t = step / (scale.steps - 1);
+        }
+        
+        return interpolatePalette(scale.palette, t);
+    }
+    
+    /**
+     * Get the fill of a chip: its heatmap color when coloring by a measurement, else its bin color
+     * @param {Object} chip - Chip object
+     * @returns {string} Fill color
+     */
+    function getChipFill(chip) {
+        if (heatmapScale) {
+            const value = chip.values[heatmapScale.parameter];
+            return Number.isFinite(value) ? getHeatmapColor(heatmapScale, value) : NO_VALUE_COLOR;
+        }
+        
+        // Unbinned chips are white
+        const bin = WaferState.getBin(chip.bin);
+        return bin ? bin.color : '#ffffff';
+    }
+    
+    /**
+     * Format a color bar tick so it stays short
+     * @param {number} value - Tick value
+     * @returns {string} Value with up to four significant digits
+     */
+    function formatTick(value) {
+        return String(Number(value.toPrecision(4)));
+    }
+    
+    /**
+     * Lay out the color bar beside the wafer
+     * The bar goes on the right, or on the left when the legend takes the right side.
+     * @param {number} waferDiameter - Size of the substrate in mm
+     * @param {string|null} legendPosition - Side of the legend, null when it is hidden
+     * @returns {Object} Color bar box (x, y, width, height), bar width, font size and padding in mm
+     */
+    function getColorBarLayout(waferDiameter, legendPosition) {
+        const fontSize = waferDiameter * 0.03;
+        const padding = waferDiameter * 0.02;
+        const width = waferDiameter * 0.22;
+        const height = waferDiameter * 0.7;
+        const gap = waferDiameter * 0.1;
+        
+        const x = legendPosition === 'right' ? -waferDiameter / 2 - gap - width : waferDiameter / 2 + gap;
+        
+        return { x, y: -height / 2, width, height, barWidth: waferDiameter * 0.05, fontSize, padding };
+    }
+    
+    /**
+     * Count the gross dies for each bin in use
+     * Every bin with a die on the map is listed, partial edge dies included, but only full dies are
+     * counted, as in the bin statistics.
+     * @param {Array} chips - Array of chip objects
+     * @returns {Array} Entries {bin, count} in bin table order
+     */
+    function getLegendEntries(chips) {
+        return WaferState.getBins()
+            .filter(bin => chips.some(chip => chip.bin === bin.code && isChipOnMap(chip)))
+            .map(bin => ({
+                bin,
+                count: chips.filter(chip => chip.bin === bin.code && chip.status === 'full').length
+            }));
+    }
+    
+    /**
+     * Lay out the legend beside the wafer
+     * Left and right legends list the bins in one column, top and bottom legends in three.
+     * @param {number} entryCount - Number of legend entries
+     * @param {number} waferDiameter - Size of the substrate in mm
+     * @param {string} position - 'right', 'left', 'top' or 'bottom'
+     * @returns {Object} Legend box (x, y, width, height), columns, row height, font size and padding in mm
+     */
+    function getLegendLayout(entryCount, waferDiameter, position) {
+        const fontSize = waferDiameter * 0.03;
+        const rowHeight = waferDiameter * 0.045;
+        const padding = waferDiameter * 0.02;
+        const isSide = position === 'left' || position === 'right';
+        const columns = isSide ? 1 : 3;
+        const rows = Math.max(1, Math.ceil(entryCount / columns));
+        
+        const width = isSide ? waferDiameter * 0.45 : waferDiameter;
+        const height = padding * 2 + rowHeight * (rows + 1); // One extra row for the title
+        const gap = waferDiameter * 0.1;
+        
+        let x = -waferDiameter / 2;
+        let y = -height / 2;
+        if (position === 'right') x = waferDiameter / 2 + gap;
+        if (position === 'left') x = -waferDiameter / 2 - gap - width;
+        if (position === 'bottom') y = waferDiameter / 2 + gap * 1.5;
+        if (position === 'top') y = -waferDiameter / 2 - gap * 1.5 - height;
+        
+        return { x, y, width, height, columns, rowHeight, fontSize, padding };
+    }
+    
+    /**
+     * Fit the viewBox around the wafer and the legend and color bar that are shown
+     * @param {number} waferDiameter - Size of the substrate in mm
+     * @param {Array} boxes - Layouts from getLegendLayout and getColorBarLayout, null for hidden ones
+     * @param {Array} chips - Array of chip objects, which set the furthest zoom
+     */
+    function setViewBox(waferDiameter, boxes, chips) {
+        // Add padding as a percentage of wafer diameter
+        const padding = waferDiameter * 0.2;
+        const viewBoxSize = waferDiameter + padding * 2;
+        
+        // Center the viewBox on the wafer's center (0,0)
+        let minX = -viewBoxSize / 2;
+        let minY = -viewBoxSize / 2;
+        let maxX = viewBoxSize / 2;
+        let maxY = viewBoxSize / 2;
+        
+        // Grow it to hold the legend and color bar with a margin
+        boxes.filter(Boolean).forEach(box => {
+            const margin = box.padding;
+            minX = Math.min(minX, box.x - margin);
+            minY = Math.min(minY, box.y - margin);
+            maxX = Math.max(maxX, box.x + box.width + margin);
+            maxY = Math.max(maxY, box.y + box.height + margin);
+        });
+        
+        const wasFitted = !fitViewBox || view.zoom === 1;
+        fitViewBox = { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+        
+        // A fitted view follows the wafer when it changes size, a zoomed view stays where it is
+        if (wasFitted) {
+            view.zoom = 1;
+            view.centerX = minX + fitViewBox.width / 2;
+            view.centerY = minY + fitViewBox.height / 2;
+        }
+        
+        // The zoom limit depends on the new viewBox, so update it before the view is clamped
+        view.maxZoom = getMaxZoom(chips);
+        
+        svgContainer.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+        applyView();
+    }
+    
+    /**
+     * Show the part of the map picked by the zoom and center
+     * The center is kept where the view still lies within the fitted map.
+     */
+    function applyView() {
+        view.zoom = Math.min(Math.max(view.zoom, 1), view.maxZoom);
+        
+        const width = fitViewBox.width / view.zoom;
+        const height = fitViewBox.height / view.zoom;
+        
+        view.centerX = Math.min(Math.max(view.centerX, fitViewBox.x + width / 2), fitViewBox.x + fitViewBox.width - width / 2);
+        view.centerY = Math.min(Math.max(view.centerY, fitViewBox.y + height / 2), fitViewBox.y + fitViewBox.height - height / 2);
+        
+        svgContainer.setAttribute('viewBox', `${view.centerX - width / 2} ${view.centerY - height / 2} ${width} ${height}`);
+    }
+    
+    /**
+     * Get the furthest zoom, at which the smallest die on the map spans half the view
+     * @param {Array} chips - Array of chip objects
+     * @returns {number} Largest zoom factor
+     */
+    function getMaxZoom(chips) {
+        let smallest = Infinity;
+        chips.forEach(chip => {
+            if (isChipOnMap(chip)) smallest = Math.min(smallest, chip.width, chip.height);
+        });
+        
+        if (!isFinite(smallest) || smallest <= 0) return 1;
+        return Math.max(1, Math.min(fitViewBox.width, fitViewBox.height) / (smallest * 2));
+    }
+    
+    /**
+     * Create the corner mark of a chip that has a note
+     * @param {Object} chip - Chip object
+     * @returns {SVGElement} Triangle in the lower right corner of the chip
+     */
+    function createNoteMarker(chip) {
+        const size = Math.min(chip.width, chip.height) * 0.25;
+        const right = chip.x + chip.width;
+        const bottom = chip.y + chip.height;
+        
+        return createSvgElement('polygon', {
+            points: `${right - size},${bottom} ${right},${bottom - size} ${right},${bottom}`,
+            fill: '#ff9800',
+            class: 'chip-note-marker',
+            'pointer-events': 'none'
+        });
+    }
+    
+    /**
+     * Create the highlight drawn over a selected chip
+     * @param {Object} chip - Chip object
+     * @returns {SVGElement} The highlight rectangle
+     */
+    function createSelectionOutline(chip) {
+        const inset = Math.min(chip.width, chip.height) * 0.04;
+        
+        return createSvgElement('rect', {
+            x: chip.x + inset,
+            y: chip.y + inset,
+            width: chip.width - inset * 2,
+            height: chip.height - inset * 2,
+            fill: '#1e88e5',
+            'fill-opacity': 0.25,
+            stroke: '#1565c0',
+            'stroke-width': inset * 2,
+            class: 'selection-outline',
+            'pointer-events': 'none'
+        });
+    }
+    
+    /**
+     * Build the diagonal hatch pattern used for keep-out zones
+     * @param {number} spacing - Distance between hatch lines in mm
+     * @returns {SVGElement} The pattern element
+     */
+    function buildHatchPattern(spacing) {
+        const pattern = createSvgElement('pattern', {
+            id: HATCH_PATTERN_ID,
+            patternUnits: 'userSpaceOnUse',
+            width: spacing,
+            height: spacing,
+            patternTransform: 'rotate(45)'
+        });
+        
+        pattern.appendChild(createSvgElement('line', {
+            x1: 0,
+            y1: 0,
+            x2: 0,
+            y2: spacing,
+            stroke: '#c0392b',
+            'stroke-width': spacing * 0.25
+        }));
+        
+        return pattern;
+    }
+    
     // Public methods
     return {
         /**
@@ -142,22 +576,28 @@ const SvgRenderer = (function() {
             this.clear();
             
             // Set up the SVG container for better sizing
-            // Use viewBox to control the coordinate system
-            const waferDiameter = waferParams.diameter;
-            // Add padding as a percentage of wafer diameter
-            const padding = waferDiameter * 0.2;
-            const viewBoxSize = waferDiameter + padding * 2;
-            
-            // Center the viewBox on the wafer's center (0,0)
-            svgContainer.setAttribute('viewBox', 
-                `${-viewBoxSize/2} ${-viewBoxSize/2} ${viewBoxSize} ${viewBoxSize}`);
-            svgContainer.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+            // Use viewBox to control the coordinate system, leaving room for the legend and color bar
+            const waferDiameter = getSubstrateExtent(waferParams);
+            const legendParams = WaferState.getLegendParams();
+            const legendEntries = legendParams.show ? getLegendEntries(chips) : [];
+            const legendLayout = legendParams.show ?
+                getLegendLayout(legendEntries.length, waferDiameter, legendParams.position) : null;
+            heatmapScale = getHeatmapScale();
+            const colorBarLayout = heatmapScale ?
+                getColorBarLayout(waferDiameter, legendParams.show ? legendParams.position : null) : null;
+            setViewBox(waferDiameter, [legendLayout, colorBarLayout], chips);
             
             // Create a group for the entire wafer
             const waferGroup = createSvgElement('g', {
                 id: 'wafer-group'
             });
             
+            // Add the clip path that trims partial dies to the wafer outline
+            const defs = createSvgElement('defs');
+            defs.appendChild(buildWaferClipPath(waferParams));
+            defs.appendChild(buildHatchPattern(waferDiameter * 0.015));
+            waferGroup.appendChild(defs);
+            
             // Add the wafer boundary
             const waferBoundary = this.drawWaferBoundary(waferParams);
             waferGroup.appendChild(waferBoundary);
@@ -200,18 +640,39 @@ const SvgRenderer = (function() {
                 }
             }
             
-            // Add chips
+            // Add full and partial chips
             chips.forEach(chip => {
-                if (chip.inside) {
+                if (isChipOnMap(chip)) {
                     const chipElement = this.drawChip(chip);
                     waferGroup.appendChild(chipElement);
                 }
             });
             
+            // Add keep-out zones
+            const keepOutZones = WaferState.getKeepOutZones();
+            if (keepOutZones.length > 0) {
+                waferGroup.appendChild(this.drawKeepOutZones(keepOutZones, waferDiameter));
+            }
+            
+            // Add reticle field boundaries on top of the chips
+            if (WaferState.getReticleParams().showFields) {
+                waferGroup.appendChild(this.drawReticleFields(chips));
+            }
+            
             // Add coordinate system
-            const coordSystem = this.drawCoordinateSystem(waferParams.diameter * 0.15);
+            const coordSystem = this.drawCoordinateSystem(waferDiameter * 0.15);
             waferGroup.appendChild(coordSystem);
             
+            // Add the legend beside the wafer
+            if (legendLayout) {
+                waferGroup.appendChild(this.drawLegend(legendEntries, legendLayout));
+            }
+            
+            // Add the color bar of the heatmap
+            if (colorBarLayout) {
+                waferGroup.appendChild(this.drawColorBar(heatmapScale, colorBarLayout));
+            }
+            
             // Add the group to the SVG container
             svgContainer.appendChild(waferGroup);
             
@@ -219,28 +680,23 @@ const SvgRenderer = (function() {
         },
         
         /**
-         * Draw the wafer boundary (circle with flat edge)
+         * Draw the wafer boundary (circle with flat edge or notch)
          * @param {Object} waferParams - Wafer parameters
          * @returns {SVGElement} The SVG element representing the wafer boundary
          */
         drawWaferBoundary: function(waferParams) {
-            const waferRadius = waferParams.diameter / 2;
+            const waferRadius = getSubstrateExtent(waferParams) / 2;
             
             // Create a group for the boundary
             const boundaryGroup = createSvgElement('g', {
                 class: 'wafer-boundary-group'
             });
             
-            if (waferParams.flatAngle > 0) {
-                const flatParams = getFlatCutoff(waferRadius, waferParams.flatAngle);
-                
-                // Create a path for the wafer with flat side
-                // This creates a circle with a flat section
-                const pathData = [
-                    `M ${flatParams.xCutoff} ${-flatParams.yMax}`,  // Start at top of flat edge
-                    `L ${flatParams.xCutoff} ${flatParams.yMax}`,   // Line down to bottom of flat
-                    `A ${waferRadius} ${waferRadius} 0 1 0 ${flatParams.xCutoff} ${-flatParams.yMax}` // Arc back to start
-                ].join(' ');
+            const waferOutline = getWaferOutline(waferParams);
+            
+            if (waferOutline.flats.length > 0 || waferOutline.notch || waferOutline.cuts.length > 0) {
+                // Create a path for the wafer with its flats and notch, or for the piece or substrate
+                const pathData = buildSubstratePath(waferOutline);
                 
                 // Add the background fill
                 const backgroundPath = createSvgElement('path', {
@@ -261,7 +717,7 @@ const SvgRenderer = (function() {
                 
                 boundaryGroup.appendChild(outlinePath);
             } else {
-                // If no flat side, just use a circle
+                // If no flat side or notch, just use a circle
                 const background = createSvgElement('circle', {
                     cx: 0,
                     cy: 0,
@@ -287,23 +743,496 @@ const SvgRenderer = (function() {
             // If excluded radius > 0, draw inner circle
             if (waferParams.excludedRadius > 0) {
                 const usableRadius = waferRadius - waferParams.excludedRadius;
-                
-                const innerCircle = createSvgElement('circle', {
-                    cx: 0,
-                    cy: 0,
-                    r: usableRadius,
+                const exclusionStyle = {
                     fill: 'none',
                     stroke: '#999',
                     'stroke-width': waferRadius * 0.005,
                     'stroke-dasharray': `${waferRadius * 0.02} ${waferRadius * 0.02}`
-                });
+                };
                 
-                boundaryGroup.appendChild(innerCircle);
+                // Straight edges are inset as well, so trace the usable area as a polygon
+                const innerOutline = waferOutline.cuts.length > 0 ?
+                    createSvgElement('path', {
+                        d: buildPolygonPath(getOutlinePolygon(waferOutline, waferParams.excludedRadius)),
+                        ...exclusionStyle
+                    }) :
+                    createSvgElement('circle', {
+                        cx: 0,
+                        cy: 0,
+                        r: usableRadius,
+                        ...exclusionStyle
+                    });
+                
+                boundaryGroup.appendChild(innerOutline);
             }
             
             return boundaryGroup;
         },
         
+        /**
+         * Draw the legend listing each bin in use with its die count
+         * @param {Array} entries - Entries {bin, count} from getLegendEntries
+         * @param {Object} layout - Layout from getLegendLayout
+         * @returns {SVGElement} The SVG group holding the legend
+         */
+        drawLegend: function(entries, layout) {
+            const legendGroup = createSvgElement('g', {
+                class: 'wafer-legend',
+                'pointer-events': 'none'
+            });
+            
+            legendGroup.appendChild(createSvgElement('rect', {
+                x: layout.x,
+                y: layout.y,
+                width: layout.width,
+                height: layout.height,
+                fill: '#ffffff',
+                stroke: '#999999',
+                'stroke-width': layout.fontSize * 0.05
+            }));
+            
+            const title = createSvgElement('text', {
+                x: layout.x + layout.padding,
+                y: layout.y + layout.padding + layout.fontSize,
+                'font-size': layout.fontSize,
+                'font-family': 'Space Grotesk, sans-serif',
+                'font-weight': 'bold'
+            });
+            title.textContent = entries.length > 0 ? 'Bins' : 'Bins (none painted)';
+            legendGroup.appendChild(title);
+            
+            const columnWidth = (layout.width - layout.padding * 2) / layout.columns;
+            const swatchSize = layout.fontSize;
+            
+            entries.forEach((entry, index) => {
+                const column = index % layout.columns;
+                const row = Math.floor(index / layout.columns) + 1;
+                const x = layout.x + layout.padding + column * columnWidth;
+                const y = layout.y + layout.padding + row * layout.rowHeight;
+                
+                legendGroup.appendChild(createSvgElement('rect', {
+                    x: x,
+                    y: y + (layout.rowHeight - swatchSize) / 2,
+                    width: swatchSize,
+                    height: swatchSize,
+                    fill: entry.bin.color,
+                    stroke: '#666666',
+                    'stroke-width': swatchSize * 0.05
+                }));
+                
+                const text = createSvgElement('text', {
+                    x: x + swatchSize * 1.4,
+                    y: y + layout.rowHeight / 2 + layout.fontSize * 0.35,
+                    'font-size': layout.fontSize,
+                    'font-family': 'Inter, sans-serif',
+                    fill: '#333333'
+                });
+                text.textContent = `${entry.bin.code} ${entry.bin.name}: ${entry.count}`;
+                legendGroup.appendChild(text);
+            });
+            
+            return legendGroup;
+        },
+        
+        /**
+         * Draw the color bar of the heatmap, the low end at the bottom
+         * @param {Object} scale - Scale from getHeatmapScale
+         * @param {Object} layout - Layout from getColorBarLayout
+         * @returns {SVGElement} The SVG group holding the color bar
+         */
+        drawColorBar: function(scale, layout) {
+            const barGroup = createSvgElement('g', {
+                class: 'wafer-color-bar',
+                'pointer-events': 'none'
+            });
+            
+            const title = createSvgElement('text', {
+                x: layout.x,
+                y: layout.y - layout.fontSize * 0.6,
+                'font-size': layout.fontSize,
+                'font-family': 'Space Grotesk, sans-serif',
+                'font-weight': 'bold'
+            });
+            title.textContent = scale.parameter;
+            barGroup.appendChild(title);
+            
+            // A stepped scale shows one block per step, a continuous one many thin slices
+            const slices = scale.steps > 0 ? scale.steps : COLOR_BAR_SLICES;
+            const sliceHeight = layout.height / slices;
+            for (let i = 0; i < slices; i++) {
+                const value = scale.min + (scale.max - scale.min) * (i + 0.5) / slices;
+                barGroup.appendChild(createSvgElement('rect', {
+                    x: layout.x,
+                    y: layout.y + layout.height - (i + 1) * sliceHeight,
+                    width: layout.barWidth,
+                    // Overlap the next slice slightly so no seams show
+                    height: sliceHeight * (i < slices - 1 ? 1.05 : 1),
+                    fill: getHeatmapColor(scale, value)
+                }));
+            }
+            
+            barGroup.appendChild(createSvgElement('rect', {
+                x: layout.x,
+                y: layout.y,
+                width: layout.barWidth,
+                height: layout.height,
+                fill: 'none',
+                stroke: '#666666',
+                'stroke-width': layout.fontSize * 0.05
+            }));
+            
+            // Ticks at the step boundaries, or at quarters of a continuous scale
+            const tickCount = scale.steps > 0 && scale.steps <= 10 ? scale.steps : 4;
+            for (let i = 0; i <= tickCount; i++) {
+                const y = layout.y + layout.height - layout.height * i / tickCount;
+                barGroup.appendChild(createSvgElement('line', {
+                    x1: layout.x + layout.barWidth,
+                    y1: y,
+                    x2: layout.x + layout.barWidth + layout.fontSize * 0.4,
+                    y2: y,
+                    stroke: '#666666',
+                    'stroke-width': layout.fontSize * 0.05
+                }));
+                
+                const label = createSvgElement('text', {
+                    x: layout.x + layout.barWidth + layout.fontSize * 0.6,
+                    y: y + layout.fontSize * 0.35,
+                    'font-size': layout.fontSize,
+                    'font-family': 'Inter, sans-serif',
+                    fill: '#333333'
+                });
+                label.textContent = formatTick(scale.min + (scale.max - scale.min) * i / tickCount);
+                barGroup.appendChild(label);
+            }
+            
+            return barGroup;
+        },
+        
+        /**
+         * Show or hide the selection highlight on every chip
+         */
+        updateSelection: function() {
+            svgContainer.querySelectorAll('.chip-group').forEach(chipGroup => {
+                const chipId = parseInt(chipGroup.getAttribute('data-chip-id'), 10);
+                const outline = chipGroup.querySelector('.selection-outline');
+                const selected = WaferState.isSelected(chipId);
+                
+                if (selected && !outline) {
+                    const chip = WaferState.getChipById(chipId);
+                    // Keep the highlight under the chip texts, as drawChip does
+                    const rect = chipGroup.querySelector('.wafer-chip');
+                    if (chip) chipGroup.insertBefore(createSelectionOutline(chip), rect.nextSibling);
+                } else if (!selected && outline) {
+                    chipGroup.removeChild(outline);
+                }
+            });
+            
+            return this;
+        },
+        
+        /**
+         * Draw the rubber band or lasso of a selection in progress
+         * @param {Array} points - Outline in wafer mm as {x, y} objects
+         */
+        drawSelectionBand: function(points) {
+            const waferGroup = svgContainer.querySelector('#wafer-group');
+            if (!waferGroup) return this;
+            
+            let band = waferGroup.querySelector('.selection-band');
+            if (!band) {
+                // The outline keeps its screen width at every zoom
+                band = createSvgElement('path', {
+                    class: 'selection-band',
+                    fill: '#1e88e5',
+                    'fill-opacity': 0.1,
+                    stroke: '#1565c0',
+                    'stroke-width': 1.5,
+                    'stroke-dasharray': '6 4',
+                    'vector-effect': 'non-scaling-stroke',
+                    'pointer-events': 'none'
+                });
+                waferGroup.appendChild(band);
+            }
+            
+            band.setAttribute('d', points.length > 1 ? buildPolygonPath(points) : '');
+            return this;
+        },
+        
+        /**
+         * Remove the rubber band or lasso
+         */
+        clearSelectionBand: function() {
+            const band = svgContainer.querySelector('.selection-band');
+            if (band) band.parentNode.removeChild(band);
+            return this;
+        },
+        
+        /**
+         * Convert a pointer position on screen to wafer mm
+         * @param {number} clientX - Horizontal position in CSS pixels
+         * @param {number} clientY - Vertical position in CSS pixels
+         * @returns {Object|null} Point with x and y, or null if the map is not drawn
+         */
+        clientToMap: function(clientX, clientY) {
+            const waferGroup = svgContainer.querySelector('#wafer-group');
+            const matrix = waferGroup && waferGroup.getScreenCTM ? waferGroup.getScreenCTM() : null;
+            if (!matrix) return null;
+            
+            const point = svgContainer.createSVGPoint();
+            point.x = clientX;
+            point.y = clientY;
+            const mapPoint = point.matrixTransform(matrix.inverse());
+            
+            return { x: mapPoint.x, y: mapPoint.y };
+        },
+        
+        /**
+         * Zoom in or out keeping a point of the map under the cursor
+         * @param {Object} point - Wafer mm point that stays in place
+         * @param {number} factor - Zoom multiplier, above 1 to zoom in
+         */
+        zoomAt: function(point, factor) {
+            if (!fitViewBox) return this;
+            
+            const oldZoom = view.zoom;
+            const newZoom = Math.min(Math.max(oldZoom * factor, 1), view.maxZoom);
+            
+            view.centerX = point.x - (point.x - view.centerX) * oldZoom / newZoom;
+            view.centerY = point.y - (point.y - view.centerY) * oldZoom / newZoom;
+            view.zoom = newZoom;
+            applyView();
+            
+            return this;
+        },
+        
+        /**
+         * Move the view across the map
+         * @param {number} dx - Horizontal shift in wafer mm
+         * @param {number} dy - Vertical shift in wafer mm
+         */
+        panBy: function(dx, dy) {
+            if (!fitViewBox) return this;
+            
+            view.centerX += dx;
+            view.centerY += dy;
+            applyView();
+            
+            return this;
+        },
+        
+        /**
+         * Show the whole wafer and legend
+         */
+        fitToWafer: function() {
+            if (!fitViewBox) return this;
+            
+            view.zoom = 1;
+            view.centerX = fitViewBox.x + fitViewBox.width / 2;
+            view.centerY = fitViewBox.y + fitViewBox.height / 2;
+            applyView();
+            
+            return this;
+        },
+        
+        /**
+         * Zoom so a region of the map fills the view
+         * @param {Object} bounds - Region in wafer mm with minX, minY, maxX and maxY
+         */
+        zoomToBounds: function(bounds) {
+            if (!fitViewBox) return this;
+            
+            // Leave a margin of a tenth of the region around it
+            const width = (bounds.maxX - bounds.minX) * 1.2;
+            const height = (bounds.maxY - bounds.minY) * 1.2;
+            
+            view.zoom = Math.min(fitViewBox.width / width, fitViewBox.height / height);
+            view.centerX = (bounds.minX + bounds.maxX) / 2;
+            view.centerY = (bounds.minY + bounds.maxY) / 2;
+            applyView();
+            
+            return this;
+        },
+        
+        /**
+         * Get the viewBox of the whole map regardless of zoom, for exports
+         * @returns {string|null} viewBox attribute value
+         */
+        getFitViewBox: function() {
+            if (!fitViewBox) return null;
+            return `${fitViewBox.x} ${fitViewBox.y} ${fitViewBox.width} ${fitViewBox.height}`;
+        },
+        
+        /**
+         * Redraw chips after their bins changed
+         * @param {Array} chipIds - IDs of the chips to update
+         */
+        updateChipBins: function(chipIds) {
+            chipIds.forEach(id => {
+                const chip = WaferState.getChipById(id);
+                if (!chip) return;
+                const bin = WaferState.getBin(chip.bin);
+                
+                // Unbinned chips are unlabeled
+                this.updateChipVisual(id, {
+                    color: getChipFill(chip),
+                    label: bin ? String(bin.code) : ''
+                });
+            });
+            
+            return this;
+        },
+        
+        /**
+         * Show or hide the note mark of a chip after its note changed
+         * @param {number} chipId - ID of the chip
+         */
+        updateChipNote: function(chipId) {
+            const chipGroup = svgContainer.querySelector(`[data-chip-id="${chipId}"]`);
+            const chip = WaferState.getChipById(chipId);
+            if (!chipGroup || !chip) return this;
+            
+            const marker = chipGroup.querySelector('.chip-note-marker');
+            if (chip.note && !marker) {
+                chipGroup.appendChild(createNoteMarker(chip));
+            } else if (!chip.note && marker) {
+                chipGroup.removeChild(marker);
+            }
+            
+            return this;
+        },
+        
+        /**
+         * Redraw the legend after chips were painted
+         * @param {Array} chips - Array of chip objects
+         */
+        updateLegend: function(chips) {
+            const legendParams = WaferState.getLegendParams();
+            const waferGroup = svgContainer.querySelector('#wafer-group');
+            if (!legendParams.show || !waferGroup) return this;
+            
+            const waferDiameter = getSubstrateExtent(WaferState.getWaferParams());
+            const entries = getLegendEntries(chips);
+            const layout = getLegendLayout(entries.length, waferDiameter, legendParams.position);
+            
+            const oldLegend = waferGroup.querySelector('.wafer-legend');
+            if (oldLegend) waferGroup.removeChild(oldLegend);
+            
+            waferGroup.appendChild(this.drawLegend(entries, layout));
+            setViewBox(waferDiameter, [layout, heatmapScale ? getColorBarLayout(waferDiameter, legendParams.position) : null], chips);
+            
+            return this;
+        },
+        
+        /**
+         * Draw keep-out zones as hatched regions
+         * @param {Array} zones - Keep-out zones in wafer mm
+         * @param {number} waferDiameter - Wafer diameter, used to scale the outline
+         * @returns {SVGElement} The SVG group holding the zones
+         */
+        drawKeepOutZones: function(zones, waferDiameter) {
+            const zoneGroup = createSvgElement('g', {
+                class: 'keep-out-zones',
+                'pointer-events': 'none'
+            });
+            
+            const style = {
+                fill: `url(#${HATCH_PATTERN_ID})`,
+                stroke: '#c0392b',
+                'stroke-width': waferDiameter * 0.003,
+                class: 'keep-out-zone'
+            };
+            
+            zones.forEach(zone => {
+                if (zone.type === 'rect') {
+                    zoneGroup.appendChild(createSvgElement('rect', {
+                        x: zone.x,
+                        y: zone.y,
+                        width: zone.width,
+                        height: zone.height,
+                        ...style
+                    }));
+                } else if (zone.type === 'circle') {
+                    zoneGroup.appendChild(createSvgElement('circle', {
+                        cx: zone.cx,
+                        cy: zone.cy,
+                        r: zone.r,
+                        ...style
+                    }));
+                } else if (zone.type === 'polygon' && zone.points && zone.points.length >= 3) {
+                    zoneGroup.appendChild(createSvgElement('polygon', {
+                        points: zone.points.map(p => `${p.x},${p.y}`).join(' '),
+                        ...style
+                    }));
+                }
+            });
+            
+            return zoneGroup;
+        },
+        
+        /**
+         * Draw the boundaries of the reticle fields (shots)
+         * @param {Array} chips - Array of chip objects with shot IDs
+         * @returns {SVGElement} The SVG group holding one rectangle per shot
+         */
+        drawReticleFields: function(chips) {
+            const chipParams = WaferState.getChipParams();
+            const halfStreetX = (chipParams.streetX || 0) / 2;
+            const halfStreetY = (chipParams.streetY || 0) / 2;
+            const pitch = Math.min(chipParams.pitchX, chipParams.pitchY);
+            
+            const fieldGroup = createSvgElement('g', {
+                class: 'reticle-fields',
+                'pointer-events': 'none'
+            });
+            
+            // Bounding box of each shot, including the streets around its dies
+            const fields = new Map();
+            chips.forEach(chip => {
+                if (chip.shotId === null || chip.shotId === undefined) return;
+                
+                const field = fields.get(chip.shotId);
+                const minX = chip.x - halfStreetX;
+                const minY = chip.y - halfStreetY;
+                const maxX = chip.x + chip.width + halfStreetX;
+                const maxY = chip.y + chip.height + halfStreetY;
+                
+                if (!field) {
+                    fields.set(chip.shotId, { minX, minY, maxX, maxY });
+                } else {
+                    field.minX = Math.min(field.minX, minX);
+                    field.minY = Math.min(field.minY, minY);
+                    field.maxX = Math.max(field.maxX, maxX);
+                    field.maxY = Math.max(field.maxY, maxY);
+                }
+            });
+            
+            fields.forEach((field, shotId) => {
+                fieldGroup.appendChild(createSvgElement('rect', {
+                    x: field.minX,
+                    y: field.minY,
+                    width: field.maxX - field.minX,
+                    height: field.maxY - field.minY,
+                    fill: 'none',
+                    stroke: '#1e5aa8',
+                    'stroke-width': pitch * 0.03,
+                    class: 'reticle-field'
+                }));
+                
+                const fontSize = pitch * 0.2;
+                const shotLabel = createSvgElement('text', {
+                    x: field.minX + fontSize * 0.3,
+                    y: field.minY + fontSize * 1.1,
+                    'font-size': fontSize,
+                    fill: '#1e5aa8',
+                    class: 'shot-label'
+                });
+                shotLabel.textContent = 'S' + shotId;
+                fieldGroup.appendChild(shotLabel);
+            });
+            
+            return fieldGroup;
+        },
+        
         /**
          * Draw a 2D Cartesian coordinate system
          * @param {number} size - Size of the coordinate system
@@ -322,6 +1251,10 @@ const SvgRenderer = (function() {
             // Get the label font size from state
             const chipParams = WaferState.getChipParams();
             const labelFontSizePercent = chipParams.labelFontSize;
+            const showCoordinates = WaferState.getCoordParams().showCoordinates;
+            
+            // The bin gives the chip its color and label
+            const bin = WaferState.getBin(chip.bin);
             
             // Create a group for the chip
             const chipGroup = createSvgElement('g', {
@@ -335,14 +1268,39 @@ const SvgRenderer = (function() {
                 y: chip.y,
                 width: chip.width,
                 height: chip.height,
-                fill: chip.color || '#ffffff',
+                fill: getChipFill(chip),
                 class: 'wafer-chip',
                 stroke: '#cccccc',
                 'stroke-width': chip.width * 0.01
             });
             
+            // Dies of multi-project blocks are outlined in their product's color
+            if (chip.product && chip.product !== MAIN_PRODUCT_ID) {
+                chipGroup.setAttribute('data-product', chip.product);
+                rect.setAttribute('stroke', getProductColor(chip.product));
+                rect.setAttribute('stroke-width', Math.min(chip.width, chip.height) * 0.04);
+            }
+            
+            // Partial dies are trimmed to the wafer and drawn faded with a dashed edge
+            if (chip.status === 'partial') {
+                chipGroup.classList.add('partial-chip');
+                chipGroup.setAttribute('clip-path', `url(#${WAFER_CLIP_ID})`);
+                rect.setAttribute('fill-opacity', 0.55);
+                rect.setAttribute('stroke', '#999999');
+                rect.setAttribute('stroke-dasharray', `${chip.width * 0.04} ${chip.width * 0.03}`);
+            }
+            
             chipGroup.appendChild(rect);
             
+            if (WaferState.isSelected(chip.id)) {
+                chipGroup.appendChild(createSelectionOutline(chip));
+            }
+            
+            // Mark dies that have a note
+            if (chip.note) {
+                chipGroup.appendChild(createNoteMarker(chip));
+            }
+            
             // Add chip number (always present for inside chips)
             if (chip.number !== null) {
                 const fontSize = Math.min(chip.width, chip.height) * 0.2; // Scale font with chip size
@@ -359,8 +1317,40 @@ const SvgRenderer = (function() {
                 chipGroup.appendChild(numberText);
             }
             
-            // Add user label if it exists
-            if (chip.label) {
+            // Add the product tag in the upper left corner of block dies
+            if (chip.product && chip.product !== MAIN_PRODUCT_ID) {
+                const fontSize = Math.min(chip.width, chip.height) * 0.15;
+                const productText = createSvgElement('text', {
+                    x: chip.x + chip.width * 0.05,
+                    y: chip.y + fontSize + chip.height * 0.04,
+                    'text-anchor': 'start',
+                    'font-size': fontSize,
+                    fill: getProductColor(chip.product),
+                    class: 'chip-product'
+                });
+                
+                productText.textContent = chip.product;
+                chipGroup.appendChild(productText);
+            }
+            
+            // Add die coordinates in the lower left corner when enabled
+            if (showCoordinates && Number.isInteger(chip.col) && Number.isInteger(chip.row)) {
+                const fontSize = Math.min(chip.width, chip.height) * 0.15;
+                const coordText = createSvgElement('text', {
+                    x: chip.x + chip.width * 0.05,
+                    y: chip.y + chip.height - chip.height * 0.06,
+                    'text-anchor': 'start',
+                    'font-size': fontSize,
+                    fill: '#777777',
+                    class: 'chip-coords'
+                });
+                
+                coordText.textContent = `${chip.col},${chip.row}`;
+                chipGroup.appendChild(coordText);
+            }
+            
+            // Add the bin code as label if the chip is binned
+            if (bin) {
                 const fontSize = Math.min(chip.width, chip.height) * labelFontSizePercent; // Use the configurable font size
                 const text = createSvgElement('text', {
                     x: chip.x + chip.width / 2,
@@ -370,7 +1360,7 @@ const SvgRenderer = (function() {
                     class: 'chip-label'
                 });
                 
-                text.textContent = chip.label;
+                text.textContent = bin.code;
                 chipGroup.appendChild(text);
             }
             